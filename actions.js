@@ -0,0 +1,208 @@
+// Scripted interaction steps run against the page while the video is recording
+const { withTimeout } = require('./readiness');
+
+// Default time each step may take before it counts as failed
+const DEFAULT_ACTION_TIMEOUT = 10000;
+const MAX_ACTIONS = 100;
+
+// Required fields for each supported step type
+const ACTION_TYPES = {
+  'click': ['selector'],
+  'type': ['selector', 'text'],
+  'hover': ['selector'],
+  'press': ['key'],
+  'scroll-to': ['selector'],
+  'wait-for-selector': ['selector'],
+  'wait-ms': ['ms'],
+  'select': ['selector', 'value'],
+  'navigate': ['url']
+};
+
+// Check an actions list, throwing an error that describes the first invalid step
+function validateActions(actions) {
+  if (!Array.isArray(actions)) {
+    throw new Error('actions must be an array');
+  }
+  if (actions.length > MAX_ACTIONS) {
+    throw new Error(`actions can contain at most ${MAX_ACTIONS} steps`);
+  }
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== 'object') {
+      throw new Error(`Action ${index} must be an object`);
+    }
+    if (!ACTION_TYPES[action.type]) {
+      throw new Error(`Action ${index} has unknown type "${action.type}". Supported types: ${Object.keys(ACTION_TYPES).join(', ')}`);
+    }
+
+    ACTION_TYPES[action.type].forEach(field => {
+      if (action[field] === undefined || action[field] === null || action[field] === '') {
+        throw new Error(`Action ${index} (${action.type}) is missing "${field}"`);
+      }
+    });
+
+    if (action.type === 'wait-ms' && (typeof action.ms !== 'number' || action.ms < 0)) {
+      throw new Error(`Action ${index} (wait-ms) needs a non-negative "ms"`);
+    }
+    if (action.timeout !== undefined && (typeof action.timeout !== 'number' || action.timeout <= 0)) {
+      throw new Error(`Action ${index} has an invalid timeout`);
+    }
+  });
+}
+
+// Short description of a step for the session log
+function describeAction(action) {
+  switch (action.type) {
+    case 'type':
+      return `type into ${action.selector}`;
+    case 'press':
+      return `press ${action.key}${action.selector ? ` on ${action.selector}` : ''}`;
+    case 'wait-ms':
+      return `wait ${action.ms}ms`;
+    case 'select':
+      return `select ${JSON.stringify(action.value)} in ${action.selector}`;
+    case 'navigate':
+      return `navigate to ${action.url}`;
+    default:
+      return `${action.type} ${action.selector}`;
+  }
+}
+
+// Wait for a number of milliseconds, ending early when the signal fires
+function waitFor(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Steps that act on an element, so the cursor overlay glides to it first
+const POINTER_TARGETS = ['click', 'type', 'hover', 'select', 'press'];
+
+// Glide the synthetic cursor to the middle of the step's element
+async function moveToTarget(page, action, pointer, timeout) {
+  const element = page.locator(action.selector).first();
+  await element.scrollIntoViewIfNeeded({ timeout });
+  const box = await element.boundingBox();
+  if (box) {
+    await pointer.moveTo(Math.round(box.x + box.width / 2), Math.round(box.y + box.height / 2));
+  }
+}
+
+// Run a single step against the page
+async function runAction(page, action, signal, pointer) {
+  const timeout = action.timeout || DEFAULT_ACTION_TIMEOUT;
+
+  if (pointer && action.selector && POINTER_TARGETS.includes(action.type)) {
+    await moveToTarget(page, action, pointer, timeout);
+  }
+
+  switch (action.type) {
+    case 'click':
+      return page.locator(action.selector).first().click({ timeout });
+    case 'type':
+      return page.locator(action.selector).first().pressSequentially(String(action.text), { delay: action.delay || 50, timeout });
+    case 'hover':
+      return page.locator(action.selector).first().hover({ timeout });
+    case 'press':
+      if (action.selector) {
+        return page.locator(action.selector).first().press(action.key, { timeout });
+      }
+      // Keyboard presses have no timeout of their own, e.g. when a key handler opens a dialog
+      return withTimeout(page.keyboard.press(action.key), timeout);
+    case 'scroll-to':
+      return page.locator(action.selector).first().scrollIntoViewIfNeeded({ timeout });
+    case 'wait-for-selector':
+      return page.locator(action.selector).first().waitFor({ state: action.state || 'visible', timeout });
+    case 'wait-ms':
+      await waitFor(action.ms, signal);
+      if (signal && signal.aborted) throw new Error('Recording window ended');
+      return;
+    case 'select':
+      return page.locator(action.selector).first().selectOption(action.value, { timeout });
+    case 'navigate':
+      return page.goto(action.url, { waitUntil: action.waitUntil || 'load', timeout });
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+}
+
+// Run the steps in order until they're done, one fails, or the signal fires
+// (the recording window ended). Every step is timed relative to startTime,
+// so offsets line up with the recording. With a pointer from the cursor
+// overlay, the cursor glides to each element before it's used. Returns one
+// result per step.
+async function runActions(page, actions, { log, logMetrics, signal, pointer, startTime = Date.now() }) {
+  const results = actions.map((action, index) => ({
+    index,
+    type: action.type,
+    description: describeAction(action),
+    status: 'skipped',
+    offsetMs: null,
+    durationMs: null,
+    error: null
+  }));
+
+  log(`Running ${actions.length} scripted actions during recording`);
+  logMetrics(`ACTIONS_START,COUNT=${actions.length}`);
+
+  for (let index = 0; index < actions.length; index++) {
+    if (signal && signal.aborted) {
+      log(`Recording window ended, skipping ${actions.length - index} remaining actions`);
+      logMetrics(`ACTIONS_INTERRUPTED,REMAINING=${actions.length - index}`);
+      break;
+    }
+
+    const action = actions[index];
+    const result = results[index];
+    const stepStart = Date.now();
+    result.offsetMs = stepStart - startTime;
+
+    try {
+      await runAction(page, action, signal, pointer);
+      result.status = 'done';
+      result.durationMs = Date.now() - stepStart;
+      log(`Action ${index + 1}/${actions.length} (${result.description}) done in ${result.durationMs}ms`);
+      logMetrics(`ACTION_COMPLETE,INDEX=${index},TYPE=${action.type},OFFSET=${result.offsetMs}ms,DURATION=${result.durationMs}ms`);
+    } catch (error) {
+      result.durationMs = Date.now() - stepStart;
+      result.error = error.message;
+
+      // A step cut short because the page closed at the end of the recording isn't a script failure
+      if (signal && signal.aborted) {
+        result.status = 'interrupted';
+        log(`Action ${index + 1}/${actions.length} (${result.description}) interrupted when the recording ended`);
+        logMetrics(`ACTION_INTERRUPTED,INDEX=${index},TYPE=${action.type},OFFSET=${result.offsetMs}ms`);
+        break;
+      }
+
+      result.status = 'failed';
+      log(`Action ${index + 1}/${actions.length} (${result.description}) failed after ${result.durationMs}ms: ${error.message}`);
+      logMetrics(`ACTION_FAILED,INDEX=${index},TYPE=${action.type},OFFSET=${result.offsetMs}ms,DURATION=${result.durationMs}ms,MESSAGE=${error.message.split('\n')[0]}`);
+
+      if (!action.continueOnError) {
+        log(`Stopping scripted actions after failed step ${index + 1}`);
+        break;
+      }
+    }
+  }
+
+  const completed = results.filter(result => result.status === 'done').length;
+  logMetrics(`ACTIONS_COMPLETE,DONE=${completed},FAILED=${results.filter(result => result.status === 'failed').length},TOTAL=${actions.length}`);
+  return results;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateActions,
+  runActions
+};
@@ -0,0 +1,232 @@
+// Credentials for recording pages behind a login: cookies, storage and HTTP auth
+const { isSensitiveHeader } = require('./context-options');
+
+const REDACTED = '[REDACTED]';
+
+// Secrets shorter than this are too likely to match ordinary log text
+const MIN_REDACTED_LENGTH = 3;
+
+// Check a key/value map of storage entries
+function validateStorageEntries(entries, name) {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`auth.${name} must be an object of key/value strings`);
+  }
+  Object.keys(entries).forEach(key => {
+    if (typeof entries[key] !== 'string') {
+      throw new Error(`auth.${name}.${key} must be a string`);
+    }
+  });
+}
+
+// Check a list of cookies in Playwright's addCookies format
+function validateCookies(cookies, name) {
+  if (!Array.isArray(cookies)) {
+    throw new Error(`${name} must be an array`);
+  }
+  cookies.forEach((cookie, index) => {
+    if (!cookie || typeof cookie !== 'object') {
+      throw new Error(`${name}[${index}] must be an object`);
+    }
+    if (typeof cookie.name !== 'string' || cookie.name === '') {
+      throw new Error(`${name}[${index}] is missing "name"`);
+    }
+    if (typeof cookie.value !== 'string') {
+      throw new Error(`${name}[${index}] is missing "value"`);
+    }
+    if (cookie.url !== undefined && typeof cookie.url !== 'string') {
+      throw new Error(`${name}[${index}].url must be a string`);
+    }
+    if (cookie.domain !== undefined && typeof cookie.domain !== 'string') {
+      throw new Error(`${name}[${index}].domain must be a string`);
+    }
+  });
+}
+
+// Check an auth option, throwing an error that describes what's wrong.
+// Error messages name the offending field but never include its value.
+function validateAuth(auth) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error('auth must be an object');
+  }
+
+  const { cookies, storageState, localStorage, sessionStorage, httpCredentials } = auth;
+  if (cookies !== undefined) {
+    validateCookies(cookies, 'auth.cookies');
+  }
+  if (storageState !== undefined) {
+    if (!storageState || typeof storageState !== 'object' || Array.isArray(storageState)) {
+      throw new Error('auth.storageState must be a Playwright storage state object');
+    }
+    if (storageState.cookies !== undefined) {
+      validateCookies(storageState.cookies, 'auth.storageState.cookies');
+    }
+    if (storageState.origins !== undefined && !Array.isArray(storageState.origins)) {
+      throw new Error('auth.storageState.origins must be an array');
+    }
+  }
+  if (localStorage !== undefined) {
+    validateStorageEntries(localStorage, 'localStorage');
+  }
+  if (sessionStorage !== undefined) {
+    validateStorageEntries(sessionStorage, 'sessionStorage');
+  }
+  if (httpCredentials !== undefined) {
+    if (!httpCredentials || typeof httpCredentials !== 'object' ||
+        typeof httpCredentials.username !== 'string' || typeof httpCredentials.password !== 'string') {
+      throw new Error('auth.httpCredentials must have a "username" and "password"');
+    }
+    if (httpCredentials.origin !== undefined && typeof httpCredentials.origin !== 'string') {
+      throw new Error('auth.httpCredentials.origin must be a string');
+    }
+  }
+}
+
+// Every secret value in an auth option, so they can be masked wherever they turn up
+function collectSecrets(auth) {
+  const secrets = [];
+  const cookies = [...(auth.cookies || []), ...((auth.storageState && auth.storageState.cookies) || [])];
+  cookies.forEach(cookie => secrets.push(cookie.value));
+  ((auth.storageState && auth.storageState.origins) || []).forEach(origin => {
+    (origin.localStorage || []).forEach(entry => secrets.push(entry.value));
+  });
+  Object.values(auth.localStorage || {}).forEach(value => secrets.push(value));
+  Object.values(auth.sessionStorage || {}).forEach(value => secrets.push(value));
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    secrets.push(password);
+    // Chromium sends the credentials as an "Authorization: Basic" header
+    secrets.push(Buffer.from(`${username}:${password}`).toString('base64'));
+  }
+
+  return secrets;
+}
+
+// Values of the sensitive extra headers a request sends, e.g. a bearer token.
+// A Cookie header's cookies are also collected one by one, as the HAR lists them that way.
+function collectHeaderSecrets(headers) {
+  const secrets = [];
+  Object.keys(headers || {}).filter(isSensitiveHeader).forEach(name => {
+    const value = headers[name];
+    secrets.push(value);
+    if (name.toLowerCase() === 'cookie' && typeof value === 'string') {
+      value.split(';').forEach(cookie => {
+        const separator = cookie.indexOf('=');
+        if (separator !== -1) secrets.push(cookie.slice(separator + 1).trim());
+      });
+    }
+  });
+  return secrets;
+}
+
+// Returns a function that masks the secret values of the auth option and the
+// request's sensitive extra headers in a message
+function createRedactor(auth, headers) {
+  const collected = [...(auth ? collectSecrets(auth) : []), ...collectHeaderSecrets(headers)];
+
+  // Longest first, so a secret containing another is masked whole
+  const secrets = [...new Set(collected.filter(value => typeof value === 'string' && value.length >= MIN_REDACTED_LENGTH))]
+    .sort((a, b) => b.length - a.length);
+  if (secrets.length === 0) return message => message;
+
+  return message => secrets.reduce((text, secret) => text.split(secret).join(REDACTED), String(message));
+}
+
+// Safe view of an auth option: names and counts, never values
+function describeAuth(auth) {
+  if (!auth) return null;
+  const storageState = auth.storageState || null;
+  return {
+    cookies: (auth.cookies || []).map(cookie => cookie.name),
+    storageState: storageState ? {
+      cookies: (storageState.cookies || []).length,
+      origins: (storageState.origins || []).map(origin => origin.origin)
+    } : null,
+    localStorage: Object.keys(auth.localStorage || {}),
+    sessionStorage: Object.keys(auth.sessionStorage || {}),
+    httpCredentials: auth.httpCredentials ? { username: auth.httpCredentials.username, password: REDACTED } : null
+  };
+}
+
+// Options for browser.newContext: storage state and HTTP credentials have to be set up front
+function buildAuthContextOptions(auth) {
+  const contextOptions = {};
+  if (!auth) return contextOptions;
+
+  if (auth.storageState) {
+    contextOptions.storageState = {
+      cookies: auth.storageState.cookies || [],
+      origins: auth.storageState.origins || []
+    };
+  }
+  if (auth.httpCredentials) {
+    contextOptions.httpCredentials = {
+      username: auth.httpCredentials.username,
+      password: auth.httpCredentials.password,
+      ...(auth.httpCredentials.origin ? { origin: auth.httpCredentials.origin } : {})
+    };
+  }
+  return contextOptions;
+}
+
+// Runs inside every document: write storage entries for the recorded URL's origin
+// before the page's own scripts read them
+function storageInitScript({ origin, localEntries, sessionEntries }) {
+  if (window.location.origin !== origin) return;
+  try {
+    Object.keys(localEntries).forEach(key => window.localStorage.setItem(key, localEntries[key]));
+    Object.keys(sessionEntries).forEach(key => window.sessionStorage.setItem(key, sessionEntries[key]));
+  } catch (error) {
+    // Storage can be disabled for the origin; the page will behave as logged out
+  }
+}
+
+// Add cookies and storage entries to a new context before navigating to url.
+// Only counts are written to the metrics file.
+async function applyAuth(context, auth, url, { log, logMetrics }) {
+  const cookies = (auth.cookies || []).map(cookie => (
+    cookie.url || cookie.domain ? cookie : { ...cookie, url }
+  ));
+  if (cookies.length > 0) {
+    await context.addCookies(cookies);
+  }
+
+  const localEntries = auth.localStorage || {};
+  const sessionEntries = auth.sessionStorage || {};
+  const storageCount = Object.keys(localEntries).length + Object.keys(sessionEntries).length;
+  if (storageCount > 0) {
+    await context.addInitScript(storageInitScript, { origin: new URL(url).origin, localEntries, sessionEntries });
+  }
+
+  const summary = describeAuth(auth);
+  log(`Authentication applied: ${cookies.length} cookies${summary.cookies.length ? ` (${summary.cookies.join(', ')})` : ''}` +
+    `${summary.storageState ? `, storage state with ${summary.storageState.cookies} cookies and ${summary.storageState.origins.length} origins` : ''}` +
+    `, ${summary.localStorage.length} localStorage and ${summary.sessionStorage.length} sessionStorage entries` +
+    `${summary.httpCredentials ? `, HTTP credentials for ${summary.httpCredentials.username}` : ''}`);
+  logMetrics(`AUTH_APPLIED,COOKIES=${cookies.length},STORAGE_STATE=${Boolean(auth.storageState)},LOCAL_STORAGE=${summary.localStorage.length},SESSION_STORAGE=${summary.sessionStorage.length},HTTP_CREDENTIALS=${Boolean(auth.httpCredentials)}`);
+}
+
+// A recording request without its credentials or sensitive extra headers,
+// for anything stored or shown after the job ends
+function stripAuth(request) {
+  if (!request) return request;
+  const { auth, ...rest } = request;
+
+  const headers = rest.context && rest.context.headers;
+  if (headers && typeof headers === 'object') {
+    const kept = {};
+    Object.keys(headers).filter(name => !isSensitiveHeader(name)).forEach(name => {
+      kept[name] = headers[name];
+    });
+    rest.context = { ...rest.context, headers: kept };
+  }
+  return rest;
+}
+
+module.exports = {
+  validateAuth,
+  createRedactor,
+  describeAuth,
+  buildAuthContextOptions,
+  applyAuth,
+  stripAuth
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { createJob, readJob, cancelJob, formatJob, JOB_STATUSES } = require('./jobs');
+const { stripAuth } = require('./auth');
+
+// Largest number of URLs accepted in one batch request
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 100;
+
+const logsDir = path.join(__dirname, 'logs');
+
+// Batches only hold the list of child jobs; everything else is read from the jobs themselves
+const batchesDir = path.resolve(__dirname, 'data', 'batches');
+if (!fs.existsSync(batchesDir)) {
+  fs.mkdirSync(batchesDir, { recursive: true });
+}
+
+function batchFilePath(batchId) {
+  return path.join(batchesDir, `batch-${batchId}.json`);
+}
+
+// Read a batch from disk, returns null if it doesn't exist
+function readBatch(batchId) {
+  if (typeof batchId !== 'string' || !/^[a-f0-9]{8}$/.test(batchId)) return null;
+
+  const filePath = batchFilePath(batchId);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading batch ${batchId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Write a batch atomically, so a reader never sees a half-written file
+function writeBatch(batch) {
+  const filePath = batchFilePath(batch.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(batch, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Queue one job per entry, each entry's own settings overriding the batch defaults.
+// The batch is stored before its jobs, so every job's batchId points at an existing batch.
+// If the batch can't be set up completely, the jobs already queued for it are cancelled.
+async function createBatch(entries, defaults, baseUrl) {
+  // Each job keeps its own copy of the credentials until it finishes
+  const batch = {
+    id: uuidv4().substr(0, 8),
+    createdAt: new Date().toISOString(),
+    defaults: stripAuth(defaults),
+    jobIds: []
+  };
+  writeBatch(batch);
+
+  try {
+    entries.forEach(entry => {
+      const job = createJob({ ...defaults, ...entry }, baseUrl, { batchId: batch.id });
+      batch.jobIds.push(job.id);
+    });
+    writeBatch(batch);
+  } catch (error) {
+    console.error(`Error creating batch ${batch.id}, cancelling its ${batch.jobIds.length} queued jobs: ${error.message}`);
+    for (const jobId of batch.jobIds) {
+      await cancelJob(jobId).catch(cancelError => {
+        console.error(`Error cancelling recording job ${jobId}: ${cancelError.message}`);
+      });
+    }
+    try {
+      fs.unlinkSync(batchFilePath(batch.id));
+    } catch (unlinkError) {
+      // Never written
+    }
+    throw error;
+  }
+
+  console.log(`Created batch ${batch.id} with ${batch.jobIds.length} recording jobs`);
+  return batch;
+}
+
+// Collect the session log files a finished job produced
+function jobLogFiles(job) {
+  const result = job.result;
+  if (!result) return [];
+
+  // Failed recordings only carry the log file name at the top level
+  if (!result.recordings || result.recordings.length === 0) {
+    return result.logFile ? [result.logFile] : [];
+  }
+
+  const recording = result.recordings[0];
+  if (recording.isMultiPlatform) {
+    return [
+      recording.parentLog && recording.parentLog.filename,
+      ...recording.platforms.map(platform => platform.logFile)
+    ].filter(Boolean);
+  }
+  if (recording.isMultiLocale) {
+    return [
+      recording.parentLog && recording.parentLog.filename,
+      ...recording.locales.map(locale => locale.logFile)
+    ].filter(Boolean);
+  }
+
+  return recording.log && recording.log.filename ? [recording.log.filename] : [];
+}
+
+// Aggregate the status of every job in a batch
+function summarizeBatch(batch) {
+  const counts = {};
+  JOB_STATUSES.forEach(status => {
+    counts[status] = 0;
+  });
+
+  const results = batch.jobIds.map((jobId, index) => {
+    const job = readJob(jobId);
+    if (!job) {
+      return { index, jobId, status: 'missing', error: 'Job record not found' };
+    }
+
+    counts[job.status] = (counts[job.status] || 0) + 1;
+    const formatted = formatJob(job);
+    return {
+      index,
+      jobId,
+      url: job.request.url,
+      platform: job.request.platform || null,
+      duration: job.request.duration || 10,
+      status: job.status,
+      queuePosition: formatted.queuePosition,
+      error: job.error,
+      logFiles: jobLogFiles(job),
+      result: job.result
+    };
+  });
+
+  const finished = counts.done + counts.failed + counts.cancelled;
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    total: batch.jobIds.length,
+    finished: finished === batch.jobIds.length,
+    counts,
+    failures: results
+      .filter(result => result.status === 'failed' || result.status === 'missing')
+      .map(({ index, jobId, url, error }) => ({ index, jobId, url, error })),
+    results,
+    logUrl: `/api/batches/${batch.id}/log`
+  };
+}
+
+// Concatenate the session logs of every finished job in the batch, in batch order
+function buildCombinedLog(batch) {
+  const sections = batch.jobIds.map((jobId, index) => {
+    const job = readJob(jobId);
+    const header = `===== [${index + 1}/${batch.jobIds.length}] job ${jobId}: ${job ? `${job.request.url} (${job.status})` : 'missing'} =====`;
+    if (!job) return header;
+
+    const logs = jobLogFiles(job).map(logFile => {
+      const logPath = path.join(logsDir, logFile);
+      if (!fs.existsSync(logPath)) return `--- ${logFile} (not found) ---`;
+      return `--- ${logFile} ---\n${fs.readFileSync(logPath, 'utf8')}`;
+    });
+
+    return [header, ...(logs.length > 0 ? logs : ['(no log available yet)'])].join('\n');
+  });
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  BATCH_MAX_URLS,
+  createBatch,
+  readBatch,
+  summarizeBatch,
+  buildCombinedLog
+};
@@ -0,0 +1,99 @@
+// Page bridge: lets the page under test control the recording through window.recorder
+
+// Name of the function exposed to the page; window.recorder wraps it
+const BRIDGE_BINDING = '__recorderBridge';
+const MAX_MARKERS = 500;
+const MAX_LABEL_LENGTH = 200;
+
+// Expose window.recorder.ready(), mark(label) and done() to the page.
+// Must be installed before navigation. Returns a handle the recorder uses
+// to wait for the page and to collect markers; the recorder sets
+// recordingStartTime when the recording window opens.
+// ready() only holds back the recording window when waitForReady is set
+// (readiness.bridge), since there's no telling whether a page will ever call it.
+async function installRecorderBridge(page, { waitForReady = false, log, logMetrics }) {
+  let resolveReady;
+  let resolveDone;
+  const handle = {
+    ready: new Promise(resolve => { resolveReady = resolve; }),
+    done: new Promise(resolve => { resolveDone = resolve; }),
+    readyAt: null,
+    doneAt: null,
+    recordingStartTime: null,
+    markers: []
+  };
+
+  // Offset from the start of the recording window, negative before it
+  const offsetOf = (time) => (handle.recordingStartTime === null ? null : time - handle.recordingStartTime);
+
+  await page.exposeFunction(BRIDGE_BINDING, (event, label) => {
+    const now = Date.now();
+
+    switch (event) {
+      case 'ready':
+        if (handle.readyAt === null) {
+          handle.readyAt = now;
+          log(`Page signalled ready through window.recorder.ready()${waitForReady ? '' : ' (not waited for, set readiness.bridge to start the recording window on it)'}`);
+          logMetrics(`BRIDGE_READY,TIME=${now}`);
+          resolveReady();
+        }
+        break;
+      case 'mark': {
+        if (handle.markers.length >= MAX_MARKERS) return false;
+        // The label comes from the page, so it's kept short and on one line before it's logged
+        const markerLabel = String(label).slice(0, MAX_LABEL_LENGTH).replace(/[\r\n]+/g, ' ');
+        handle.markers.push({ label: markerLabel, at: now });
+        log(`Page marker: ${markerLabel}`);
+        logMetrics(`MARKER,LABEL=${markerLabel},OFFSET=${offsetOf(now) === null ? 'before_start' : `${offsetOf(now)}ms`}`);
+        break;
+      }
+      case 'done':
+        // Ending the window before it opened would leave an empty video, so the page has to call done() again later
+        if (handle.recordingStartTime === null) {
+          log('Ignored window.recorder.done(): the recording window has not started yet');
+          logMetrics(`BRIDGE_DONE_IGNORED,TIME=${now}`);
+          return false;
+        }
+        if (handle.doneAt === null) {
+          handle.doneAt = now;
+          log('Page signalled done through window.recorder.done()');
+          logMetrics(`BRIDGE_DONE,TIME=${now}`);
+          resolveDone();
+        }
+        break;
+      default:
+        return false;
+    }
+    return true;
+  });
+
+  await page.addInitScript((binding) => {
+    window.recorder = {
+      ready: () => window[binding]('ready'),
+      mark: (label) => window[binding]('mark', String(label)),
+      done: () => window[binding]('done')
+    };
+  }, BRIDGE_BINDING);
+
+  return handle;
+}
+
+// Summary of what the page did through the bridge, with offsets relative to the recording window
+function summarizeBridge(handle, { endedEarly = false } = {}) {
+  const offsetOf = (time) => (time === null || handle.recordingStartTime === null ? null : time - handle.recordingStartTime);
+  return {
+    readyAt: handle.readyAt ? new Date(handle.readyAt).toISOString() : null,
+    doneAt: handle.doneAt ? new Date(handle.doneAt).toISOString() : null,
+    endedEarly,
+    markers: handle.markers.map(marker => ({
+      label: marker.label,
+      at: new Date(marker.at).toISOString(),
+      offsetMs: offsetOf(marker.at)
+    }))
+  };
+}
+
+module.exports = {
+  installRecorderBridge,
+  summarizeBridge
+};
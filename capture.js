@@ -0,0 +1,277 @@
+// Capture backends. "video" is Playwright's recordVideo; the others pipe
+// frames of the page straight into ffmpeg, one frame at a time.
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const CAPTURE_BACKENDS = ['video', 'virtual-time', 'screencast'];
+const DEFAULT_CAPTURE = 'video';
+
+// Keep the last few lines of ffmpeg's output for error messages, not every frame's progress
+const STDERR_TAIL_LINES = 20;
+
+// How far ahead of the page's clock virtual-time capture pauses it. The installed clock
+// keeps ticking in real time until it's paused, and pausing at a time it has already passed throws.
+const PAUSE_LEAD_MS = 1000;
+
+// Check a capture option, throwing an error that describes what's wrong
+function validateCapture(capture) {
+  if (!CAPTURE_BACKENDS.includes(capture)) {
+    throw new Error(`capture must be one of: ${CAPTURE_BACKENDS.join(', ')}`);
+  }
+}
+
+// Whether a backend encodes frames itself instead of using Playwright's recordVideo
+function usesFramePipe(capture) {
+  return capture !== 'video';
+}
+
+// Start ffmpeg reading JPEG frames from stdin and writing an H.264 file at the
+// given size and frame rate. The file is the raw video the rest of the pipeline trims and enhances.
+function createFramePipe(outputPath, { fps, width, height, log, logMetrics }) {
+  const ffmpegArgs = [
+    '-f', 'image2pipe',
+    '-framerate', `${fps}`,
+    '-c:v', 'mjpeg',
+    '-i', '-',
+    '-vf', `scale=${width}:${height}:flags=lanczos`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '12',
+    '-pix_fmt', 'yuv420p',
+    '-r', `${fps}`,
+    '-y',
+    outputPath
+  ];
+  log(`Starting frame encoder: ${ffmpegArgs.join(' ')}`);
+
+  const ffmpegProcess = spawn(FFMPEG_PATH, ffmpegArgs);
+  let frames = 0;
+  let failure = null;
+  const stderrTail = [];
+
+  ffmpegProcess.stderr.on('data', (data) => {
+    stderrTail.push(...data.toString().split('\n').filter(Boolean));
+    stderrTail.splice(0, Math.max(0, stderrTail.length - STDERR_TAIL_LINES));
+  });
+
+  // Writing after ffmpeg died fails with EPIPE; the exit code explains why
+  ffmpegProcess.stdin.on('error', (error) => {
+    failure = failure || error;
+  });
+
+  const exited = new Promise((resolve) => {
+    ffmpegProcess.on('error', (error) => {
+      failure = failure || error;
+      resolve(null);
+    });
+    ffmpegProcess.on('close', (code) => resolve(code));
+  });
+
+  let exitCode;
+  exited.then(code => {
+    exitCode = code;
+  });
+
+  const describeFailure = () => (
+    failure ? failure.message : `ffmpeg exited with code ${exitCode}: ${stderrTail.slice(-3).join(' | ')}`
+  );
+
+  // Resolves once ffmpeg has taken the frame, so a slow encoder holds up capture instead of buffering frames
+  const writeFrame = async (image) => {
+    if (failure || exitCode !== undefined) {
+      throw new Error(`Frame encoder stopped: ${describeFailure()}`);
+    }
+    frames++;
+    if (!ffmpegProcess.stdin.write(image)) {
+      await Promise.race([
+        new Promise(resolve => ffmpegProcess.stdin.once('drain', resolve)),
+        exited
+      ]);
+    }
+  };
+
+  // Close stdin and wait for ffmpeg to finish the file
+  const finish = async () => {
+    ffmpegProcess.stdin.end();
+    const code = await exited;
+    if (code !== 0) {
+      throw new Error(`Frame encoder failed: ${describeFailure()}`);
+    }
+    log(`Frame encoder finished: ${frames} frames written to ${outputPath}`);
+    logMetrics(`FRAME_ENCODER_COMPLETE,FRAMES=${frames},FPS=${fps},SIZE=${width}x${height}`);
+    return { frames };
+  };
+
+  // Stop ffmpeg straight away, e.g. when the recording failed or was cancelled
+  const abort = () => {
+    if (exitCode === undefined && !failure) {
+      ffmpegProcess.kill('SIGKILL');
+    }
+  };
+
+  return { writeFrame, finish, abort, get frames() { return frames; } };
+}
+
+// Runs inside the page: CSS animations, transitions and Web Animations follow the
+// compositor's clock, not the page's timers, so they are held and stepped one frame at a time
+function stepAnimations(frameMs) {
+  const held = window.__recorderHeldAnimations || (window.__recorderHeldAnimations = new WeakSet());
+  document.getAnimations().forEach(animation => {
+    if (animation.playState === 'running') {
+      animation.pause();
+      held.add(animation);
+    } else if (held.has(animation) && animation.playState === 'paused') {
+      animation.currentTime = (animation.currentTime || 0) + frameMs;
+    }
+  });
+}
+
+// Capture duration seconds of the page at exactly fps frames per second of page time.
+// The page clock is paused and advanced 1/fps per frame, so the result is smooth however
+// long each screenshot takes. The clock must have been installed before navigation.
+// A cancelled session stops the encoder and rejects before the next frame.
+// Playwright registers a context init script for every clock call so new frames can replay
+// the clock's history, which means one script per frame (3600 for 60 seconds at 60fps).
+// They only run when a document is created, so pages that open iframes late pay for them.
+async function captureVirtualTime(page, pipe, { fps, duration, log, logMetrics, shouldStop, onSecond, signal }) {
+  const totalFrames = Math.round(duration * fps);
+  const frameMs = 1000 / fps;
+  const startTime = Date.now();
+
+  const pageTime = (await page.evaluate(() => Date.now())) + PAUSE_LEAD_MS;
+  await page.clock.pauseAt(pageTime);
+  log(`Virtual-time capture: ${totalFrames} frames at ${fps}fps, page clock paused at ${new Date(pageTime).toISOString()} (${totalFrames} clock steps)`);
+
+  let frame = 0;
+  for (; frame < totalFrames && !shouldStop(); frame++) {
+    if (signal && signal.aborted) {
+      pipe.abort();
+      log(`Virtual-time capture cancelled after ${frame} frames`);
+      throw new Error('Recording cancelled during virtual-time capture');
+    }
+    if (frame > 0) {
+      await page.evaluate(stepAnimations, frameMs);
+    }
+    const image = await page.screenshot({ type: 'jpeg', quality: 90, scale: 'css' });
+    await pipe.writeFrame(image);
+
+    // Whole milliseconds that add up to exactly duration seconds over all frames
+    await page.clock.runFor(Math.round((frame + 1) * frameMs) - Math.round(frame * frameMs));
+
+    if ((frame + 1) % fps === 0 && typeof onSecond === 'function') {
+      onSecond((frame + 1) / fps);
+    }
+  }
+
+  const realDuration = Date.now() - startTime;
+  log(`Virtual-time capture finished: ${frame} frames in ${realDuration}ms (${(frame / (realDuration / 1000)).toFixed(1)} frames per real second)`);
+  logMetrics(`VIRTUAL_TIME_CAPTURE,FRAMES=${frame},FPS=${fps},PAGE_TIME=${Math.round(frame * frameMs)}ms,REAL_TIME=${realDuration}ms`);
+
+  return { frames: frame, windowMs: Math.round(frame * frameMs) };
+}
+
+// Stream the page through Chromium's screencast into the frame pipe. Chromium only sends a
+// frame when the page changes, so each one is repeated until the next arrives to give a
+// constant frame rate. Call stop() when the recording window closes; a cancelled
+// session stops the screencast and the encoder by itself.
+async function startScreencast(page, pipe, { fps, width, height, log, logMetrics, signal }) {
+  const frameMs = 1000 / fps;
+  const cdp = await page.context().newCDPSession(page);
+  const startTime = Date.now();
+
+  let latestImage = null;
+  let nextFrame = 0;
+  let received = 0;
+  let written = 0;
+  let failure = null;
+  let writing = Promise.resolve();
+
+  // Output frame n covers [startTime + n/fps, startTime + (n+1)/fps) and shows the newest image by then
+  const writeFramesUntil = (time) => {
+    while (startTime + nextFrame * frameMs < time) {
+      const image = latestImage;
+      nextFrame++;
+      writing = writing.then(async () => {
+        if (failure) return;
+        try {
+          await pipe.writeFrame(image);
+          written++;
+        } catch (error) {
+          failure = error;
+        }
+      });
+    }
+  };
+
+  cdp.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+    cdp.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    received++;
+
+    // Frame times are in seconds since the epoch; the first frame also fills the window's start
+    const frameTime = metadata && metadata.timestamp ? metadata.timestamp * 1000 : Date.now();
+    if (latestImage) {
+      writeFramesUntil(frameTime);
+    }
+    latestImage = Buffer.from(data, 'base64');
+  });
+
+  await cdp.send('Page.startScreencast', {
+    format: 'jpeg',
+    quality: 90,
+    maxWidth: width,
+    maxHeight: height,
+    everyNthFrame: 1
+  });
+  log(`Screencast started at ${fps}fps (${width}x${height} max)`);
+
+  const onAbort = () => {
+    failure = failure || new Error('Recording cancelled during screencast capture');
+    pipe.abort();
+    cdp.send('Page.stopScreencast')
+      .then(() => cdp.detach())
+      .catch(() => {});
+    log(`Screencast cancelled after ${written} frames`);
+  };
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  const stop = async () => {
+    const endTime = Date.now();
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+      if (signal.aborted) throw failure;
+    }
+    await cdp.send('Page.stopScreencast').catch(error => log(`Could not stop screencast: ${error.message}`));
+    if (!latestImage) {
+      throw new Error('No screencast frames were received');
+    }
+
+    writeFramesUntil(endTime);
+    await writing;
+    await cdp.detach().catch(() => {});
+    if (failure) throw failure;
+
+    const windowMs = Math.round(nextFrame * frameMs);
+    log(`Screencast finished: ${received} frames received from Chromium, ${written} written at a constant ${fps}fps`);
+    logMetrics(`SCREENCAST_CAPTURE,RECEIVED=${received},WRITTEN=${written},FPS=${fps},WINDOW=${windowMs}ms`);
+    return { frames: written, received, windowMs };
+  };
+
+  return { stop };
+}
+
+module.exports = {
+  CAPTURE_BACKENDS,
+  DEFAULT_CAPTURE,
+  validateCapture,
+  usesFramePipe,
+  createFramePipe,
+  captureVirtualTime,
+  startScreencast
+};
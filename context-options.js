@@ -0,0 +1,178 @@
+// Per-request browser context settings: user agent, locale, timezone, geolocation and media features
+
+// What every recording used before these became options
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const DEFAULT_ACCEPT_LANGUAGE = 'en-US,en;q=0.9';
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+// Permissions Chromium lets a context grant
+const PERMISSIONS = [
+  'geolocation', 'midi', 'midi-sysex', 'notifications', 'camera', 'microphone', 'background-sync',
+  'ambient-light-sensor', 'accelerometer', 'gyroscope', 'magnetometer', 'accessibility-events',
+  'clipboard-read', 'clipboard-write', 'payment-handler', 'storage-access'
+];
+
+// Headers the recorder manages itself, or that Chromium won't let a page override
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'accept-encoding', 'user-agent', 'accept-language'];
+
+// Header values that aren't echoed back in the recording metadata
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+// Whether a string is a single BCP 47 language tag, e.g. "de-DE"
+function isValidLocale(locale) {
+  try {
+    return typeof locale === 'string' && Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether a string is an IANA time zone, e.g. "Europe/Berlin"
+function isValidTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+    return typeof timezoneId === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a context option, throwing an error that describes what's wrong
+function validateContextOptions(context) {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) {
+    throw new Error('context must be an object');
+  }
+
+  const { userAgent, locale, timezoneId, geolocation, permissions, colorScheme, reducedMotion, headers } = context;
+  if (userAgent !== undefined && (typeof userAgent !== 'string' || userAgent.trim() === '' || /[\r\n]/.test(userAgent))) {
+    throw new Error('context.userAgent must be a single-line string');
+  }
+  if (locale !== undefined && !isValidLocale(locale)) {
+    throw new Error('context.locale must be a BCP 47 language tag, e.g. "de-DE"');
+  }
+  if (timezoneId !== undefined && !isValidTimezone(timezoneId)) {
+    throw new Error('context.timezoneId must be an IANA time zone, e.g. "Europe/Berlin"');
+  }
+  if (geolocation !== undefined) {
+    if (!geolocation || typeof geolocation !== 'object' ||
+        typeof geolocation.latitude !== 'number' || geolocation.latitude < -90 || geolocation.latitude > 90 ||
+        typeof geolocation.longitude !== 'number' || geolocation.longitude < -180 || geolocation.longitude > 180) {
+      throw new Error('context.geolocation needs a latitude between -90 and 90 and a longitude between -180 and 180');
+    }
+    if (geolocation.accuracy !== undefined && (typeof geolocation.accuracy !== 'number' || geolocation.accuracy < 0)) {
+      throw new Error('context.geolocation.accuracy must be a non-negative number of meters');
+    }
+  }
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions) || permissions.some(permission => !PERMISSIONS.includes(permission))) {
+      throw new Error(`context.permissions must be an array of: ${PERMISSIONS.join(', ')}`);
+    }
+  }
+  if (colorScheme !== undefined && !COLOR_SCHEMES.includes(colorScheme)) {
+    throw new Error(`context.colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}`);
+  }
+  if (reducedMotion !== undefined && !REDUCED_MOTION.includes(reducedMotion)) {
+    throw new Error(`context.reducedMotion must be one of: ${REDUCED_MOTION.join(', ')}`);
+  }
+  if (headers !== undefined) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error('context.headers must be an object of header names and values');
+    }
+    Object.keys(headers).forEach(name => {
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+        throw new Error(`context.headers has an invalid header name "${name}"`);
+      }
+      if (name.toLowerCase() === 'user-agent') {
+        throw new Error('context.headers can\'t set User-Agent, use context.userAgent instead');
+      }
+      if (name.toLowerCase() === 'accept-language') {
+        throw new Error('context.headers can\'t set Accept-Language, use context.locale instead');
+      }
+      if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+        throw new Error(`context.headers can't set ${name}`);
+      }
+      if (typeof headers[name] !== 'string' || /[\r\n]/.test(headers[name])) {
+        throw new Error(`context.headers.${name} must be a single-line string`);
+      }
+    });
+  }
+}
+
+// Accept-Language for a locale, e.g. "de-DE" -> "de-DE,de;q=0.9"
+function acceptLanguageFor(locale) {
+  const language = locale.split('-')[0];
+  return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+// Fill in the defaults the recorder has always used. An emulated device
+// brings its own user agent, which replaces the default one.
+function resolveContextOptions(context, defaults = {}) {
+  const options = context || {};
+  const permissions = [...(options.permissions || [])];
+
+  // Setting a location is pointless unless the page may read it
+  if (options.geolocation && !permissions.includes('geolocation')) {
+    permissions.push('geolocation');
+  }
+
+  return {
+    userAgent: options.userAgent || defaults.userAgent || DEFAULT_USER_AGENT,
+    locale: options.locale || null,
+    acceptLanguage: options.locale ? acceptLanguageFor(options.locale) : DEFAULT_ACCEPT_LANGUAGE,
+    timezoneId: options.timezoneId || null,
+    geolocation: options.geolocation ? {
+      latitude: options.geolocation.latitude,
+      longitude: options.geolocation.longitude,
+      accuracy: options.geolocation.accuracy !== undefined ? options.geolocation.accuracy : 0
+    } : null,
+    permissions,
+    colorScheme: options.colorScheme || 'light',
+    reducedMotion: options.reducedMotion || 'no-preference',
+    headers: options.headers || {}
+  };
+}
+
+// Options for browser.newContext. The user agent is only passed when one was
+// requested or comes from a device; by default it's sent as a header, as it always has been.
+function buildContextOptions(settings, { customUserAgent }) {
+  return {
+    colorScheme: settings.colorScheme,
+    reducedMotion: settings.reducedMotion,
+    ...(customUserAgent ? { userAgent: settings.userAgent } : {}),
+    ...(settings.locale ? { locale: settings.locale } : {}),
+    ...(settings.timezoneId ? { timezoneId: settings.timezoneId } : {}),
+    ...(settings.geolocation ? { geolocation: settings.geolocation } : {}),
+    ...(settings.permissions.length > 0 ? { permissions: settings.permissions } : {})
+  };
+}
+
+function isSensitiveHeader(name) {
+  return SENSITIVE_HEADERS.includes(name.toLowerCase());
+}
+
+// Extra headers with the sensitive values masked, for anything shown back to callers
+function redactHeaders(headers) {
+  const redacted = {};
+  Object.keys(headers).forEach(name => {
+    redacted[name] = isSensitiveHeader(name) ? '[REDACTED]' : headers[name];
+  });
+  return redacted;
+}
+
+// Settings as echoed in the recording metadata, without sensitive header values
+function describeContextOptions(settings) {
+  return { ...settings, headers: redactHeaders(settings.headers) };
+}
+
+module.exports = {
+  isValidLocale,
+  isValidTimezone,
+  validateContextOptions,
+  resolveContextOptions,
+  buildContextOptions,
+  isSensitiveHeader,
+  redactHeaders,
+  describeContextOptions
+};
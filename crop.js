@@ -0,0 +1,86 @@
+// Cropping the video to a single element on the page
+
+const MAX_CROP_SCALE = 4;
+
+// Check the selector and crop options, throwing an error that describes what's wrong
+function validateCrop(selector, crop) {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    throw new Error('selector must be a CSS selector');
+  }
+  if (crop === undefined) return;
+  if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+    throw new Error('crop must be an object');
+  }
+  if (crop.padding !== undefined && (typeof crop.padding !== 'number' || crop.padding < 0)) {
+    throw new Error('crop.padding must be a non-negative number of pixels');
+  }
+  if (crop.scale !== undefined && (typeof crop.scale !== 'number' || crop.scale <= 0 || crop.scale > MAX_CROP_SCALE)) {
+    throw new Error(`crop.scale must be a number greater than 0 and at most ${MAX_CROP_SCALE}`);
+  }
+}
+
+// libx264 with yuv420p needs even dimensions
+function toEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// Work out the video region covered by an element. Page coordinates are CSS
+// pixels; the video is captured at recordVideo size, so they're scaled by
+// videoSize / viewport. deviceScaleFactor only affects how sharply the page
+// renders, not the size of the video frames, so it plays no part here.
+async function resolveElementCrop(page, selector, { padding = 0, scale = 1, viewport, videoSize, log, logMetrics }) {
+  const element = page.locator(selector).first();
+
+  if (await element.count() === 0) {
+    throw new Error(`Element not found for selector "${selector}"`);
+  }
+
+  const box = await element.boundingBox();
+  if (!box || box.width === 0 || box.height === 0) {
+    throw new Error(`Element "${selector}" is not visible, so it can't be cropped`);
+  }
+
+  // Region including padding, in CSS pixels, clamped to the viewport
+  const left = Math.max(0, box.x - padding);
+  const top = Math.max(0, box.y - padding);
+  const right = Math.min(viewport.width, box.x + box.width + padding);
+  const bottom = Math.min(viewport.height, box.y + box.height + padding);
+
+  if (right <= left || bottom <= top) {
+    throw new Error(`Element "${selector}" is outside the viewport (x=${Math.round(box.x)}, y=${Math.round(box.y)}, ${Math.round(box.width)}x${Math.round(box.height)} in a ${viewport.width}x${viewport.height} viewport)`);
+  }
+  if (box.x < 0 || box.y < 0 || box.x + box.width > viewport.width || box.y + box.height > viewport.height) {
+    log(`Warning: element "${selector}" is partly outside the viewport, cropping to the visible part`);
+  }
+
+  const scaleX = videoSize.width / viewport.width;
+  const scaleY = videoSize.height / viewport.height;
+
+  // ffmpeg's crop filter wants whole, even pixel values that stay inside the frame
+  const width = Math.min(toEven((right - left) * scaleX), videoSize.width - (videoSize.width % 2));
+  const height = Math.min(toEven((bottom - top) * scaleY), videoSize.height - (videoSize.height % 2));
+  const x = Math.min(Math.round(left * scaleX), videoSize.width - width);
+  const y = Math.min(Math.round(top * scaleY), videoSize.height - height);
+
+  const crop = {
+    selector,
+    x,
+    y,
+    width,
+    height,
+    padding,
+    scale,
+    outputWidth: toEven(width * scale),
+    outputHeight: toEven(height * scale)
+  };
+
+  log(`Cropping video to "${selector}": ${width}x${height} at (${x}, ${y}), output ${crop.outputWidth}x${crop.outputHeight}`);
+  logMetrics(`ELEMENT_CROP,SELECTOR=${selector},X=${x},Y=${y},WIDTH=${width},HEIGHT=${height},OUTPUT=${crop.outputWidth}x${crop.outputHeight}`);
+  return crop;
+}
+
+module.exports = {
+  toEven,
+  validateCrop,
+  resolveElementCrop
+};
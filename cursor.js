@@ -0,0 +1,181 @@
+// Synthetic cursor overlay, so scripted recordings look like someone is driving the page
+
+const CURSOR_STYLES = ['arrow', 'dot', 'ring'];
+
+const DEFAULT_CURSOR = {
+  style: 'arrow',
+  color: '#111111',
+  size: 24,
+  clickRipple: true,
+  keystrokes: false, // captions show what's typed, so they're opt-in
+  moveDuration: 600 // ms to glide between interaction targets
+};
+
+// Fill in defaults; `cursor: true` uses them all
+function normalizeCursor(cursor) {
+  if (cursor === true) return { ...DEFAULT_CURSOR };
+  return { ...DEFAULT_CURSOR, ...cursor };
+}
+
+// Check a cursor option, throwing an error that describes what's wrong
+function validateCursor(cursor) {
+  if (cursor === true) return;
+  if (!cursor || typeof cursor !== 'object' || Array.isArray(cursor)) {
+    throw new Error('cursor must be true or an object');
+  }
+
+  const { style, color, size, clickRipple, keystrokes, moveDuration } = cursor;
+  if (style !== undefined && !CURSOR_STYLES.includes(style)) {
+    throw new Error(`cursor.style must be one of: ${CURSOR_STYLES.join(', ')}`);
+  }
+  if (color !== undefined && (typeof color !== 'string' || !/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|rgba?\([\d\s.,%]+\))$/.test(color))) {
+    throw new Error('cursor.color must be a CSS color (hex, name or rgb/rgba)');
+  }
+  if (size !== undefined && (typeof size !== 'number' || size < 8 || size > 128)) {
+    throw new Error('cursor.size must be a number of pixels between 8 and 128');
+  }
+  if (clickRipple !== undefined && typeof clickRipple !== 'boolean') {
+    throw new Error('cursor.clickRipple must be true or false');
+  }
+  if (keystrokes !== undefined && typeof keystrokes !== 'boolean') {
+    throw new Error('cursor.keystrokes must be true or false');
+  }
+  if (moveDuration !== undefined && (typeof moveDuration !== 'number' || moveDuration < 0 || moveDuration > 5000)) {
+    throw new Error('cursor.moveDuration must be between 0 and 5000 milliseconds');
+  }
+}
+
+// Runs inside every document: draws the cursor, click ripples and keystroke
+// captions from the real mouse and keyboard events Playwright dispatches
+function cursorOverlayScript({ style, color, size, clickRipple, keystrokes }) {
+  const install = () => {
+    if (document.getElementById('__recorder-cursor')) return;
+
+    const root = document.createElement('div');
+    root.id = '__recorder-cursor';
+    root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;overflow:hidden;';
+
+    const cursor = document.createElement('div');
+    cursor.style.cssText = `position:absolute;left:0;top:0;width:${size}px;height:${size}px;display:none;will-change:transform;`;
+    if (style === 'arrow') {
+      cursor.innerHTML = `<svg width="${size}" height="${size}" viewBox="0 0 24 24"><path d="M3 2l7 19 2.5-7.5L20 11z" fill="${color}" stroke="#fff" stroke-width="1.5" stroke-linejoin="round"/></svg>`;
+    } else {
+      cursor.style.borderRadius = '50%';
+      cursor.style.marginLeft = `${-size / 2}px`;
+      cursor.style.marginTop = `${-size / 2}px`;
+      if (style === 'dot') {
+        cursor.style.background = color;
+        cursor.style.opacity = '0.75';
+      } else {
+        cursor.style.border = `3px solid ${color}`;
+        cursor.style.boxSizing = 'border-box';
+      }
+    }
+
+    const caption = document.createElement('div');
+    caption.style.cssText = 'position:absolute;left:50%;bottom:48px;transform:translateX(-50%);padding:8px 16px;border-radius:8px;' +
+      'background:rgba(0,0,0,0.75);color:#fff;font:600 20px/1.3 system-ui,sans-serif;white-space:pre;opacity:0;transition:opacity 0.2s;';
+
+    root.appendChild(cursor);
+    root.appendChild(caption);
+    document.documentElement.appendChild(root);
+
+    document.addEventListener('mousemove', (event) => {
+      cursor.style.display = 'block';
+      cursor.style.transform = `translate(${event.clientX}px, ${event.clientY}px)`;
+    }, true);
+
+    if (clickRipple) {
+      document.addEventListener('mousedown', (event) => {
+        const ripple = document.createElement('div');
+        ripple.style.cssText = `position:absolute;left:${event.clientX - size}px;top:${event.clientY - size}px;width:${size * 2}px;height:${size * 2}px;` +
+          `border-radius:50%;border:3px solid ${color};box-sizing:border-box;opacity:0.8;transform:scale(0.2);transition:transform 0.5s ease-out, opacity 0.5s ease-out;`;
+        root.appendChild(ripple);
+        requestAnimationFrame(() => {
+          ripple.style.transform = 'scale(1)';
+          ripple.style.opacity = '0';
+        });
+        setTimeout(() => ripple.remove(), 600);
+      }, true);
+    }
+
+    if (keystrokes) {
+      let text = '';
+      let hideTimer = null;
+
+      // Characters typed into password fields are shown as dots
+      const isPasswordField = (element) => Boolean(element) && element.tagName === 'INPUT' &&
+        (element.type === 'password' || /password$/i.test(element.getAttribute('autocomplete') || ''));
+
+      document.addEventListener('keydown', (event) => {
+        const modifiers = ['Control', 'Shift', 'Alt', 'Meta'];
+        if (modifiers.includes(event.key)) return;
+
+        // Typed characters build up a line of text, other keys are shown by name
+        const combo = [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.metaKey && 'Cmd'].filter(Boolean);
+        if (event.key.length === 1 && combo.length === 0) {
+          text = (text + (isPasswordField(event.composedPath()[0]) ? '\u2022' : event.key)).slice(-40);
+        } else {
+          text = [...combo, event.key === ' ' ? 'Space' : event.key].join(' + ');
+        }
+
+        caption.textContent = text;
+        caption.style.opacity = '1';
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(() => {
+          caption.style.opacity = '0';
+          text = '';
+        }, 1200);
+      }, true);
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', install);
+  } else {
+    install();
+  }
+}
+
+// Inject the overlay into the page and every document it navigates to.
+// Returns a pointer that glides the real mouse between targets.
+async function installCursorOverlay(page, cursor, { viewport, log, logMetrics }) {
+  const settings = normalizeCursor(cursor);
+  await page.addInitScript(cursorOverlayScript, {
+    style: settings.style,
+    color: settings.color,
+    size: settings.size,
+    clickRipple: settings.clickRipple,
+    keystrokes: settings.keystrokes
+  });
+
+  log(`Cursor overlay enabled (${settings.style}, ${settings.color}, ${settings.size}px${settings.keystrokes ? ', keystroke captions' : ''})`);
+  logMetrics(`CURSOR_OVERLAY,STYLE=${settings.style},SIZE=${settings.size},MOVE_DURATION=${settings.moveDuration}ms`);
+
+  let position = { x: Math.round(viewport.width / 2), y: Math.round(viewport.height / 2) };
+  const ease = t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
+
+  return {
+    settings,
+
+    // Put the cursor on screen before the first interaction
+    show: () => page.mouse.move(position.x, position.y),
+
+    // Glide from the current position to (x, y) over moveDuration
+    moveTo: async (x, y) => {
+      const from = position;
+      const frames = Math.max(1, Math.round(settings.moveDuration / 16));
+      for (let frame = 1; frame <= frames; frame++) {
+        const t = ease(frame / frames);
+        await page.mouse.move(from.x + (x - from.x) * t, from.y + (y - from.y) * t);
+        if (frame < frames) await new Promise(resolve => setTimeout(resolve, 16));
+      }
+      position = { x, y };
+    }
+  };
+}
+
+module.exports = {
+  validateCursor,
+  installCursorOverlay
+};
@@ -0,0 +1,66 @@
+// Device emulation backed by Playwright's device descriptors (iPhone, Pixel, iPad, ...)
+const { devices } = require('playwright');
+const { toEven } = require('./crop');
+
+// Look a device up by name, ignoring case and extra spaces. Returns null if there's no such device.
+function findDevice(name) {
+  if (typeof name !== 'string') return null;
+  const wanted = name.trim().replace(/\s+/g, ' ').toLowerCase();
+  const match = Object.keys(devices).find(deviceName => deviceName.toLowerCase() === wanted);
+  if (!match) return null;
+
+  const { userAgent, viewport, screen, deviceScaleFactor, isMobile, hasTouch } = devices[match];
+  return { name: match, userAgent, viewport, screen: screen || null, deviceScaleFactor, isMobile, hasTouch };
+}
+
+// Check a device option, throwing an error that describes what's wrong
+function validateDevice(device) {
+  if (typeof device !== 'string' || device.trim() === '') {
+    throw new Error('device must be a device name, e.g. "iPhone 13"');
+  }
+  if (!findDevice(device)) {
+    throw new Error(`Unknown device "${device}". See GET /api/devices for the supported devices`);
+  }
+}
+
+// Every supported device with the settings it emulates
+function listDevices() {
+  return Object.keys(devices).map(name => {
+    const { viewport, deviceScaleFactor, isMobile, hasTouch } = findDevice(name);
+    return { name, viewport, deviceScaleFactor, isMobile, hasTouch };
+  });
+}
+
+// Size of the captured video for a device: the device's viewport shape at the
+// requested height, or the largest size of that shape that fits inside frame
+function deviceCaptureSize(device, { height, frame }) {
+  const aspect = device.viewport.width / device.viewport.height;
+  if (!frame) {
+    return { width: toEven(height * aspect), height: toEven(height) };
+  }
+
+  const fitsByWidth = frame.width / frame.height < aspect;
+  return fitsByWidth
+    ? { width: frame.width, height: Math.min(frame.height, toEven(frame.width / aspect)) }
+    : { width: Math.min(frame.width, toEven(frame.height * aspect)), height: frame.height };
+}
+
+// Device settings as echoed in the recording metadata
+function describeDevice(device) {
+  return {
+    name: device.name,
+    viewport: device.viewport,
+    deviceScaleFactor: device.deviceScaleFactor,
+    isMobile: device.isMobile,
+    hasTouch: device.hasTouch,
+    userAgent: device.userAgent
+  };
+}
+
+module.exports = {
+  findDevice,
+  validateDevice,
+  listDevices,
+  deviceCaptureSize,
+  describeDevice
+};
@@ -0,0 +1,139 @@
+// Short-lived lock files, so cluster workers take turns updating the same file on disk
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Locks are held for the few milliseconds a read and write take. One whose process has
+// exited, or that is older than LOCK_STALE, was left by a worker that died holding it.
+// LOCK_STALE is well under LOCK_TIMEOUT, so waiters free such a lock before giving up.
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 3000;
+const LOCK_RETRY = 10;
+
+// Check whether a process that owns a lock is still running
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Read the owner written into a lock file, or null if it's gone or unreadable
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Owner details for a new lock. The token tells this holder's lock apart from any other.
+function createLockOwner(details = {}) {
+  return { pid: process.pid, token: crypto.randomBytes(8).toString('hex'), ...details, acquiredAt: Date.now() };
+}
+
+// Create the lock file with its owner already written. Linking fails if the lock
+// exists, so only one process can hold it and nobody ever sees it empty.
+function tryCreateLock(lockPath, owner) {
+  const tempPath = `${lockPath}.${owner.token}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(owner));
+  try {
+    fs.linkSync(tempPath, lockPath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    return false;
+  } finally {
+    fs.unlinkSync(tempPath);
+  }
+}
+
+// Free a stale lock whose owner was seen as staleOwner. The lock is first moved to a
+// name nobody else uses and checked there: if another process replaced it in the meantime,
+// the new lock is put back instead of freed. Returns whether the stale lock was removed.
+function removeStaleLock(lockPath, staleOwner) {
+  const tombstonePath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, tombstonePath);
+  } catch (error) {
+    // Already freed by someone else
+    return false;
+  }
+
+  const moved = readLockOwner(tombstonePath);
+  const isSameLock = (moved && moved.token) === (staleOwner && staleOwner.token);
+  if (!isSameLock) {
+    try {
+      fs.linkSync(tombstonePath, lockPath);
+    } catch (error) {
+      console.error(`Could not restore lock ${path.basename(lockPath)}: ${error.message}`);
+    }
+  }
+  fs.unlinkSync(tombstonePath);
+  return isSameLock;
+}
+
+// Remove a lock only if it still belongs to owner
+function releaseLock(lockPath, owner) {
+  const current = readLockOwner(lockPath);
+  if (!current || current.token !== owner.token) return false;
+  fs.unlinkSync(lockPath);
+  return true;
+}
+
+// Whether a lock was left behind: its process exited, or it's been held far longer than any update takes
+function isStaleLock(lockPath, owner) {
+  if (owner) {
+    return !isProcessAlive(owner.pid) || Date.now() - owner.acquiredAt > LOCK_STALE;
+  }
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Run fn while holding the lock file at lockPath and resolve with its result.
+// Waiting for the lock doesn't block the event loop.
+async function withFileLock(lockPath, fn) {
+  const name = path.basename(lockPath);
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  const owner = createLockOwner();
+
+  while (!tryCreateLock(lockPath, owner)) {
+    const existing = readLockOwner(lockPath);
+    if (isStaleLock(lockPath, existing) && removeStaleLock(lockPath, existing)) {
+      console.log(`Removed stale lock ${name}${existing ? ` held by process ${existing.pid}` : ''}`);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${name}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      releaseLock(lockPath, owner);
+    } catch (error) {
+      console.error(`Error releasing lock ${name}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  isProcessAlive,
+  readLockOwner,
+  createLockOwner,
+  tryCreateLock,
+  removeStaleLock,
+  releaseLock,
+  withFileLock
+};
@@ -0,0 +1,176 @@
+// HAR capture for each session, and replaying a captured HAR so a page can be recorded offline
+const path = require('path');
+const fs = require('fs');
+
+const harDir = path.resolve(__dirname, 'logs', 'har');
+if (!fs.existsSync(harDir)) {
+  fs.mkdirSync(harDir, { recursive: true });
+}
+
+const CONTENT_MODES = ['embed', 'omit'];
+const NOT_FOUND_MODES = ['abort', 'fallback'];
+
+// HAR files are named after the session, e.g. har-3f9c2a1b-2024-05-01T10-00-00-000Z.har,
+// with -attempt-2 and so on added for retried attempts
+function isHarFilename(filename) {
+  return typeof filename === 'string' && /^har-[a-f0-9]{8}-[\w-]+\.har$/.test(filename);
+}
+
+// A har option is true (capture with the defaults) or { record, content, replay, notFound, url }
+function normalizeHar(har) {
+  if (!har) return null;
+  const options = har === true ? { record: true } : har;
+  return {
+    record: Boolean(options.record),
+    content: options.content || 'embed',
+    replay: options.replay || null,
+    notFound: options.notFound || 'abort',
+    url: options.url || null
+  };
+}
+
+// Check that a captured HAR is still there to replay. Queued and scheduled recordings
+// can start long after their request was accepted, so this is checked again when they run.
+function checkReplayFile(replay) {
+  if (!fs.existsSync(path.join(harDir, replay))) {
+    throw new Error(`HAR file ${replay} to replay was not found, it may have been deleted since it was captured`);
+  }
+}
+
+// Check a har option, throwing an error that describes what's wrong
+function validateHar(har) {
+  if (typeof har === 'boolean') return;
+  if (!har || typeof har !== 'object' || Array.isArray(har)) {
+    throw new Error('har must be a boolean or an object');
+  }
+
+  const { record, content, replay, notFound, url } = har;
+  if (record !== undefined && typeof record !== 'boolean') {
+    throw new Error('har.record must be a boolean');
+  }
+  if (content !== undefined && !CONTENT_MODES.includes(content)) {
+    throw new Error(`har.content must be one of: ${CONTENT_MODES.join(', ')}`);
+  }
+  if (replay !== undefined) {
+    if (!isHarFilename(replay)) {
+      throw new Error('har.replay must be the filename of a captured HAR, e.g. "har-3f9c2a1b-2024-05-01T10-00-00-000Z.har"');
+    }
+    checkReplayFile(replay);
+  }
+  if (notFound !== undefined && !NOT_FOUND_MODES.includes(notFound)) {
+    throw new Error(`har.notFound must be one of: ${NOT_FOUND_MODES.join(', ')}`);
+  }
+  if (url !== undefined && (typeof url !== 'string' || url.trim() === '')) {
+    throw new Error('har.url must be a URL glob');
+  }
+  if (!record && !replay) {
+    throw new Error('har needs "record": true, a "replay" file or both');
+  }
+}
+
+// Where a session's HAR is written, next to its log file
+function harPathForLog(logFilePath) {
+  return path.join(harDir, path.basename(logFilePath).replace(/^recording-/, 'har-').replace(/\.log$/, '.har'));
+}
+
+// Options for browser.newContext: Playwright writes the HAR when the context closes
+function buildHarContextOptions(har, harPath) {
+  if (!har || !har.record) return {};
+  return {
+    recordHar: {
+      path: harPath,
+      content: har.content,
+      mode: 'full'
+    }
+  };
+}
+
+// Answer requests from a captured HAR. Requests it doesn't contain are aborted,
+// unless notFound is "fallback", in which case they go to the network.
+async function applyHarReplay(context, har, { log, logMetrics }) {
+  checkReplayFile(har.replay);
+  const replayPath = path.join(harDir, har.replay);
+
+  await context.routeFromHAR(replayPath, {
+    notFound: har.notFound,
+    ...(har.url ? { url: har.url } : {})
+  });
+  log(`Replaying requests${har.url ? ` matching ${har.url}` : ''} from ${har.replay}, requests not in the HAR are ${har.notFound === 'abort' ? 'aborted' : 'sent to the network'}`);
+  logMetrics(`HAR_REPLAY,FILE=${har.replay},NOT_FOUND=${har.notFound}`);
+}
+
+// Mask secrets in the parts of a HAR entry that carry credentials: the URL, query,
+// headers, cookies and posted form data. Each value is masked on its own, so escaped
+// JSON can't hide a secret, and response bodies, which may be base64, are left as they are.
+function redactHarEntry(entry, redact) {
+  const redactValues = (pairs) => (pairs || []).forEach(pair => {
+    if (typeof pair.value === 'string') pair.value = redact(pair.value);
+  });
+
+  const { request, response } = entry;
+  if (request) {
+    if (typeof request.url === 'string') request.url = redact(request.url);
+    redactValues(request.queryString);
+    redactValues(request.headers);
+    redactValues(request.cookies);
+    if (request.postData) {
+      if (typeof request.postData.text === 'string') request.postData.text = redact(request.postData.text);
+      redactValues(request.postData.params);
+    }
+  }
+  if (response) {
+    redactValues(response.headers);
+    redactValues(response.cookies);
+    if (typeof response.redirectURL === 'string') response.redirectURL = redact(response.redirectURL);
+  }
+}
+
+// Once the context is closed: mask credentials in the written HAR and describe it for the response.
+// A HAR that can't be parsed can't be masked or replayed, so it isn't kept.
+function finalizeHar(harPath, { redact, log, logMetrics }) {
+  if (!fs.existsSync(harPath)) {
+    log(`HAR file was not written: ${harPath}`);
+    return null;
+  }
+
+  const content = fs.readFileSync(harPath, 'utf8');
+  let har;
+  try {
+    har = JSON.parse(content);
+  } catch (error) {
+    log(`Could not read HAR, removing it: ${error.message}`);
+    fs.unlinkSync(harPath);
+    return null;
+  }
+
+  let masked = 0;
+  const redactValue = (value) => {
+    const result = redact(value);
+    if (result !== value) masked++;
+    return result;
+  };
+  const entries = (har.log && har.log.entries) || [];
+  entries.forEach(entry => redactHarEntry(entry, redactValue));
+  if (masked > 0) {
+    fs.writeFileSync(harPath, JSON.stringify(har));
+  }
+
+  const filename = path.basename(harPath);
+  const size = fs.statSync(harPath).size;
+  log(`HAR saved: ${filename} (${entries.length} entries, ${size} bytes${masked > 0 ? `, ${masked} values masked` : ''})`);
+  logMetrics(`HAR_SAVED,FILE=${filename},ENTRIES=${entries.length},SIZE=${size},MASKED=${masked}`);
+
+  return { filename, url: `/api/har/${filename}`, entries: entries.length, size };
+}
+
+module.exports = {
+  harDir,
+  isHarFilename,
+  normalizeHar,
+  validateHar,
+  checkReplayFile,
+  harPathForLog,
+  buildHarContextOptions,
+  applyHarReplay,
+  finalizeHar
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { tryCreateLock, removeStaleLock } = require('./file-lock');
+
+// How long a key keeps pointing at its recording
+const IDEMPOTENCY_TTL = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// A reservation is normally pointed at its job straight away. One still without a job after
+// this long belongs to a request that died before creating it, and is given up.
+const PENDING_TTL = 60 * 1000;
+
+// Keys are stored on disk, named by their hash, so every worker sees them
+const idempotencyDir = path.resolve(__dirname, 'data', 'idempotency');
+if (!fs.existsSync(idempotencyDir)) {
+  fs.mkdirSync(idempotencyDir, { recursive: true });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function keyFilePath(key) {
+  return path.join(idempotencyDir, `${sha256(key)}.json`);
+}
+
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+}
+
+// Serialize with sorted keys so the same body always gives the same hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashRequestBody(body) {
+  return sha256(canonicalJson(body || {}));
+}
+
+// A reservation older than its TTL no longer blocks the key
+function isExpired(record) {
+  const age = Date.now() - record.createdAt;
+  return age > IDEMPOTENCY_TTL || (!record.jobId && age > PENDING_TTL);
+}
+
+function readRecord(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reserve a key for a request body. Returns one of:
+// - { state: 'new' }              the caller owns the key and should create the job
+// - { state: 'match', jobId }     the same body was already accepted under this key
+// - { state: 'pending' }          the same body is still being accepted by another request
+// - { state: 'mismatch' }         the key was used with a different body
+function reserveIdempotencyKey(key, bodyHash) {
+  const filePath = keyFilePath(key);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    // The record is written in full and linked into place, so only one request can
+    // reserve the key and nobody sees an empty record. Its token tells it apart from
+    // any record that replaces it later.
+    const reservation = { token: crypto.randomBytes(8).toString('hex'), bodyHash, jobId: null, createdAt: Date.now() };
+    if (tryCreateLock(filePath, reservation)) {
+      return { state: 'new' };
+    }
+
+    const record = readRecord(filePath);
+
+    // Expired keys (or unreadable ones) are replaced on the next attempt. Another request
+    // may have replaced it already, so it's only removed if it's still the record read here.
+    if (!record || isExpired(record)) {
+      removeStaleLock(filePath, record);
+      continue;
+    }
+
+    if (record.bodyHash !== bodyHash) return { state: 'mismatch' };
+    if (!record.jobId) return { state: 'pending' };
+    return { state: 'match', jobId: record.jobId };
+  }
+
+  return { state: 'pending' };
+}
+
+// Point a reserved key at the job created for it
+function completeIdempotencyKey(key, jobId) {
+  const filePath = keyFilePath(key);
+  const record = readRecord(filePath);
+  if (!record) return;
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...record, jobId }));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Give up a reservation, e.g. when creating the job failed
+function releaseIdempotencyKey(key) {
+  try {
+    fs.unlinkSync(keyFilePath(key));
+  } catch (error) {
+    // Already gone
+  }
+}
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  isValidIdempotencyKey,
+  hashRequestBody,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
@@ -3,11 +3,30 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const recorder = require('./recorder');
+const { createJob, readJob, cancelJob, isJobFinished, waitForJob, startJobWorker, formatJob } = require('./jobs');
+const queue = require('./queue');
+const { WEBHOOK_SECRET, isValidCallbackUrl } = require('./webhooks');
+const { BATCH_MAX_URLS, createBatch, readBatch, summarizeBatch, buildCombinedLog } = require('./batches');
+const schedules = require('./schedules');
+const idempotency = require('./idempotency');
+const { validateActions } = require('./actions');
+const { validateScroll } = require('./scroll');
+const { validateReadiness } = require('./readiness');
+const { validateCrop } = require('./crop');
+const { validateCursor } = require('./cursor');
+const { validateAuth } = require('./auth');
+const { validateContextOptions } = require('./context-options');
+const { validateDevice, listDevices } = require('./devices');
+const { validateLocales } = require('./locales');
+const { validateNetwork } = require('./network');
+const { harDir, isHarFilename, validateHar } = require('./har');
+const { validateMocks } = require('./mocks');
+const { validateCapture } = require('./capture');
 const http = require('http');
 const https = require('https');
 
-// Get the recordWebsite function from the recorder module
-const { recordWebsite, recordWithPlatformSettings, recordMultiplePlatforms, getLatestLogFile } = recorder;
+// Get the log helper from the recorder module
+const { getLatestLogFile } = recorder;
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -64,201 +83,698 @@ app.use('/uploads', (req, res, next) => {
   }
 }));
 
+// Every option a recording request can carry
+const RECORD_OPTIONS = [
+  'url', 'duration', 'platform', 'platforms', 'locales', 'device', 'resolution', 'quality', 'fps', 'speed',
+  'retries', 'retryDelay', 'actions', 'scroll', 'readiness', 'selector', 'crop', 'cursor', 'auth', 'context',
+  'network', 'har', 'mocks', 'capture', 'hardware_acceleration'
+];
+
+// Pick the recording options out of a request body
+function extractRecordRequest(body) {
+  const request = {};
+  RECORD_OPTIONS.forEach(option => {
+    request[option] = body[option];
+  });
+  return request;
+}
+
+// Validators for the recording options that are checked up front. Each is called with the
+// option's value and the whole request, and throws an error that describes what's wrong.
+const RECORD_OPTION_VALIDATORS = {
+  duration: (duration) => {
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+      throw new Error('duration must be a positive number of seconds');
+    }
+  },
+  platform: (platform) => recorder.validatePlatform(platform),
+  platforms: (platforms) => {
+    if (!Array.isArray(platforms)) {
+      throw new Error('platforms must be an array of platform or device names');
+    }
+    platforms.forEach((platform, index) => recorder.validatePlatform(platform, `platforms[${index}]`));
+  },
+  resolution: (resolution) => recorder.validateResolution(resolution),
+  quality: (quality) => recorder.validateQuality(quality),
+  retries: (retries) => {
+    if (!Number.isInteger(retries) || retries < 0 || retries > recorder.MAX_RETRIES) {
+      throw new Error(`retries must be an integer between 0 and ${recorder.MAX_RETRIES}`);
+    }
+  },
+  retryDelay: (retryDelay) => {
+    if (!Number.isInteger(retryDelay) || retryDelay < 0) {
+      throw new Error('retryDelay must be a non-negative number of milliseconds');
+    }
+  },
+  locales: (locales, { platforms }) => {
+    if (Array.isArray(platforms) && platforms.length > 0) {
+      throw new Error('locales and platforms can\'t be combined in one request, use platform or device to pick the format for every locale');
+    }
+    validateLocales(locales);
+  },
+  device: validateDevice,
+  actions: validateActions,
+  scroll: (scroll) => {
+    if (scroll !== false) validateScroll(scroll);
+  },
+  readiness: validateReadiness,
+  selector: (selector, { crop }) => validateCrop(selector, crop),
+  crop: (crop, { selector }) => validateCrop(selector, crop),
+  cursor: (cursor) => {
+    if (cursor !== false) validateCursor(cursor);
+  },
+  auth: validateAuth,
+  context: validateContextOptions,
+  network: validateNetwork,
+  har: validateHar,
+  mocks: validateMocks,
+  capture: validateCapture
+};
+
+// Check the recording options that need validating up front, returns an error message or null
+function validateRecordRequest(request) {
+  for (const option of Object.keys(RECORD_OPTION_VALIDATORS)) {
+    if (request[option] === undefined) continue;
+    try {
+      RECORD_OPTION_VALIDATORS[option](request[option], request);
+    } catch (validationError) {
+      return validationError.message;
+    }
+  }
+  return null;
+}
+
+// Like extractRecordRequest, but only keeps the options that were actually set
+function extractRecordOverrides(body) {
+  const request = extractRecordRequest(body);
+  Object.keys(request).forEach(key => request[key] === undefined && delete request[key]);
+  return request;
+}
+
+// Synchronous recordings are opt-in, either in the body or the query string
+function wantsSyncRecording(req) {
+  return req.body.sync === true || req.query.sync === 'true';
+}
+
+// Answer a record request for a job, either waiting for it (sync mode) or returning its status URL
+async function respondWithJob(req, res, job) {
+  // Synchronous mode holds the connection open until the recording is finished
+  let current = job;
+  if (wantsSyncRecording(req)) {
+    current = (await waitForJob(job.id)) || job;
+    if (isJobFinished(current)) {
+      return res.status(current.statusCode || 500).json(current.result);
+    }
+    console.log(`Recording job ${job.id} is still ${current.status} after the sync timeout, answering with its status`);
+  }
+  
+  // The job runs on whichever worker has a free browser slot first
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: current.status,
+    queuePosition: queue.getQueuePosition(job.id),
+    statusUrl: `/api/jobs/${job.id}`
+  });
+}
+
 // API endpoint for recording a website
 app.post('/api/record', async (req, res) => {
-  let videoName = null;
-  
   try {
     // Ensure required parameters
-    const { url, duration, platform, platforms, resolution, quality, fps, speed } = req.body;
+    const { url, duration } = req.body;
     
     if (!url) {
       return res.status(400).json({ success: false, error: 'URL is required' });
     }
     
-    // Check for hardware acceleration flag
-    if (req.body.hardware_acceleration !== undefined) {
-      const enableHardware = req.body.hardware_acceleration === true;
-      process.env.HARDWARE_ACCELERATION = enableHardware ? 'true' : 'false';
-      console.log(`Setting hardware acceleration to: ${enableHardware ? 'enabled' : 'disabled'} for this recording`);
+    const validationError = validateRecordRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: 'Invalid recording options', message: validationError });
+    }
+    
+    // Validate the completion webhook if one was requested
+    const { callbackUrl, callbackSecret } = req.body;
+    if (callbackUrl !== undefined) {
+      if (!isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({ success: false, error: 'callbackUrl must be an absolute http(s) URL' });
+      }
+      if (!callbackSecret && !WEBHOOK_SECRET) {
+        return res.status(400).json({
+          success: false,
+          error: 'Webhook signing secret missing',
+          message: 'Provide callbackSecret or set WEBHOOK_SECRET on the server'
+        });
+      }
+    }
+    
+    // A retried request with the same Idempotency-Key gets the original job back
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined) {
+      if (!idempotency.isValidIdempotencyKey(idempotencyKey)) {
+        return res.status(400).json({
+          success: false,
+          error: `Idempotency-Key must be between 1 and ${idempotency.MAX_KEY_LENGTH} characters`
+        });
+      }
+      
+      const reservation = idempotency.reserveIdempotencyKey(idempotencyKey, idempotency.hashRequestBody(req.body));
+      if (reservation.state === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key reused with a different request body'
+        });
+      }
+      if (reservation.state === 'pending') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      if (reservation.state === 'match') {
+        const existingJob = readJob(reservation.jobId);
+        if (!existingJob) {
+          // The job record is gone, so the key can't be honoured any more
+          idempotency.releaseIdempotencyKey(idempotencyKey);
+          return res.status(409).json({
+            success: false,
+            error: 'The recording for this Idempotency-Key no longer exists',
+            message: 'Retry the request to start a new recording'
+          });
+        }
+        
+        console.log(`Idempotent replay of recording job ${existingJob.id}`);
+        res.set('Idempotent-Replayed', 'true');
+        return respondWithJob(req, res, existingJob);
+      }
     }
     
     console.log(`Recording requested for URL: ${url}, duration: ${duration || 10}s`);
     
-    // Handle multiple platforms if provided
-    if (platforms && Array.isArray(platforms) && platforms.length > 0) {
-      console.log(`Multi-platform recording requested: ${platforms.join(', ')}`);
+    // Get the host from request
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    let job;
+    try {
+      job = createJob(extractRecordRequest(req.body), baseUrl, { callbackUrl, callbackSecret });
+    } catch (error) {
+      // Free the key so the client can retry
+      if (idempotencyKey !== undefined) idempotency.releaseIdempotencyKey(idempotencyKey);
+      throw error;
+    }
+    
+    if (idempotencyKey !== undefined) {
+      idempotency.completeIdempotencyKey(idempotencyKey, job.id);
+    }
+    
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    console.error('Error during recording:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint for recording many URLs with shared settings
+app.post('/api/record/batch', async (req, res) => {
+  try {
+    const { urls } = req.body;
+    
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ success: false, error: 'urls must be a non-empty array' });
+    }
+    
+    if (urls.length > BATCH_MAX_URLS) {
+      return res.status(400).json({ success: false, error: `A batch can contain at most ${BATCH_MAX_URLS} URLs` });
+    }
+    
+    // Each entry is either a URL string or an object with its own overrides
+    const entries = [];
+    for (let i = 0; i < urls.length; i++) {
+      const entry = typeof urls[i] === 'string' ? { url: urls[i] } : urls[i];
+      if (!entry || typeof entry !== 'object' || !entry.url) {
+        return res.status(400).json({ success: false, error: `Entry ${i} is missing a URL` });
+      }
       
-      const result = await recordMultiplePlatforms(url, platforms, {
-        resolution,
-        duration: duration || 10,
-        quality,
-        fps,
-        speed
+      // Unset overrides are dropped so they don't mask the batch defaults
+      entries.push(extractRecordOverrides(entry));
+    }
+    
+    const { url, ...defaults } = extractRecordRequest(req.body);
+    for (let i = 0; i < entries.length; i++) {
+      const validationError = validateRecordRequest({ ...defaults, ...entries[i] });
+      if (validationError) {
+        return res.status(400).json({ success: false, error: `Entry ${i} has invalid recording options`, message: validationError });
+      }
+    }
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    
+    console.log(`Batch recording requested for ${entries.length} URLs`);
+    const batch = await createBatch(entries, defaults, baseUrl);
+    
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      count: batch.jobIds.length,
+      jobIds: batch.jobIds,
+      statusUrl: `/api/batches/${batch.id}`
+    });
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Get the aggregated status of a batch
+app.get('/api/batches/:batchId', (req, res) => {
+  try {
+    const batch = readBatch(req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found',
+        message: `No batch found with ID: ${req.params.batchId}`
       });
+    }
+    
+    res.json({
+      success: true,
+      batch: summarizeBatch(batch)
+    });
+  } catch (error) {
+    console.error('Error retrieving batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Get the combined session logs of a batch
+app.get('/api/batches/:batchId/log', (req, res) => {
+  try {
+    const batch = readBatch(req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found',
+        message: `No batch found with ID: ${req.params.batchId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      batchId: batch.id,
+      content: buildCombinedLog(batch)
+    });
+  } catch (error) {
+    console.error('Error retrieving batch log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Get the status of a recording job
+app.get('/api/jobs/:jobId', (req, res) => {
+  try {
+    const job = readJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No recording job found with ID: ${req.params.jobId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Error retrieving job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Stream a job's progress as Server-Sent Events.
+// The job file is polled so the stream works whichever worker is running the recording.
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = readJob(jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No recording job found with ID: ${jobId}`
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  
+  // Nothing is written once the stream has been stopped or the client has gone
+  let closed = false;
+  const write = (chunk) => {
+    if (closed || res.writableEnded) return;
+    res.write(chunk);
+  };
+  
+  const sendEvent = (event, data, id) => {
+    if (id !== undefined) write(`id: ${id}\n`);
+    write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Phase events carry their index as ID so a reconnecting client can resume with Last-Event-ID
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  let sentPhaseEvents = Number.isNaN(lastEventId) ? 0 : lastEventId + 1;
+  let lastStatusKey = null;
+  let lastProgressAt = null;
+  
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  const stop = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+  };
+  
+  // Send a final event and close the stream
+  const finish = (event, data) => {
+    sendEvent(event, data);
+    stop();
+    if (!res.writableEnded) res.end();
+  };
+  
+  const poll = () => {
+    if (closed) return;
+    try {
+      const current = readJob(jobId);
+      if (!current) {
+        return finish('error', { error: 'Job not found' });
+      }
       
-      if (result.error) {
-        return res.status(500).json({
-          success: false,
-          error: result.error,
-          recordings: [],
-          logFile: result.logFile,
-          logUrl: `/api/logs/${result.logFile}`
-        });
+      const formatted = formatJob(current);
+      const statusKey = `${formatted.status}:${formatted.queuePosition}`;
+      if (statusKey !== lastStatusKey) {
+        lastStatusKey = statusKey;
+        sendEvent('status', { status: formatted.status, queuePosition: formatted.queuePosition });
       }
       
-      // Get the host from request
-      const host = req.get('host');
-      const protocol = req.protocol;
+      const events = current.events || [];
+      for (; sentPhaseEvents < events.length; sentPhaseEvents++) {
+        sendEvent('phase', events[sentPhaseEvents], sentPhaseEvents);
+      }
       
-      // Enhance the platform results with URLs
-      const enhancedResults = result.platforms.map(platform => {
-        if (!platform.success) return platform;
-        
-        // Determine the content type
-        const fileType = platform.fileName.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
-        
-        return {
-          ...platform,
-          url: `/uploads/${platform.fileName}`,
-          absoluteUrl: `${protocol}://${host}/uploads/${platform.fileName}`,
-          logUrl: `/api/logs/${platform.logFile}`,
-          metricsUrl: `/api/metrics/${platform.metricsFile}`,
-          fileType
-        };
-      });
+      if (current.progress && current.progress.at !== lastProgressAt) {
+        lastProgressAt = current.progress.at;
+        sendEvent('progress', current.progress);
+      }
       
-      // Return the multi-platform results
-      return res.json({
-        success: true,
-        recordings: [{
-          sessionId: result.sessionId,
-          timestamp: new Date().toISOString(),
-          url: url,
-          isMultiPlatform: true,
-          platformCount: enhancedResults.length,
-          duration: duration || 10,
-          platforms: enhancedResults,
-          parentLog: {
-            filename: result.logFile,
-            url: `/api/logs/${result.logFile}`,
-            size: fs.existsSync(path.join(logsDir, result.logFile)) ? fs.statSync(path.join(logsDir, result.logFile)).size : 0,
-            created: new Date().toISOString()
-          }
-        }]
-      });
+      if (isJobFinished(current)) {
+        finish('done', formatted);
+      }
+    } catch (error) {
+      console.error(`Error streaming events for job ${jobId}: ${error.message}`);
+      finish('error', { error: 'Server error', message: error.message });
+    }
+  };
+  
+  pollTimer = setInterval(poll, 500);
+  heartbeatTimer = setInterval(() => {
+    try {
+      write(': keep-alive\n\n');
+    } catch (error) {
+      console.error(`Error sending keep-alive for job ${jobId}: ${error.message}`);
+      stop();
+      if (!res.writableEnded) res.end();
     }
+  }, 15000);
+  poll();
+  
+  req.on('close', stop);
+});
+
+// Cancel a queued or in-flight recording job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = readJob(req.params.jobId);
     
-    // Use platform settings if provided, otherwise use legacy method
-    let result;
-    if (platform || resolution || quality || fps) {
-      result = await recordWithPlatformSettings(url, {
-        platform,
-        resolution,
-        duration: duration || 10,
-        quality,
-        fps,
-        speed
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No recording job found with ID: ${req.params.jobId}`
       });
-    } else {
-      // Call the recorder with the URL and optional duration
-      result = await recordWebsite(url, duration || 10);
     }
     
-    if (result.error) {
-      return res.status(500).json({
+    if (isJobFinished(job)) {
+      return res.status(409).json({
         success: false,
-        error: result.error,
-        recordings: [],
-        logFile: result.logFile,
-        logUrl: `/api/logs/${result.logFile}`,
-        metricsFile: result.metricsFile,
-        metricsUrl: `/api/metrics/${result.metricsFile}`
+        error: 'Job already finished',
+        message: `Recording job ${job.id} is already ${job.status}`,
+        job: formatJob(job)
       });
     }
     
-    const fileName = result.fileName;
-    videoName = fileName;
+    const updatedJob = await cancelJob(job.id);
+    
+    // Running jobs are stopped asynchronously by the worker that owns them
+    res.status(updatedJob.status === 'cancelled' ? 200 : 202).json({
+      success: true,
+      message: updatedJob.status === 'cancelled' ? 'Recording job cancelled' : 'Cancellation requested',
+      job: formatJob(updatedJob)
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Create a recurring recording schedule
+app.post('/api/schedules', (req, res) => {
+  try {
+    const { name, cron, enabled, url } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
     
-    // Get the filename from the result
-    const resultFilename = fileName;
-    const logFilename = result.logFile;
-    const metricsFilename = result.metricsFile;
+    const validationError = validateRecordRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: 'Invalid recording options', message: validationError });
+    }
     
-    // Check if we have a valid filename
-    if (!resultFilename) {
-      console.error('No filename returned from recording process');
-      return res.status(500).json({
+    let schedule;
+    try {
+      schedule = schedules.createSchedule({
+        name,
+        cron,
+        enabled,
+        request: extractRecordRequest(req.body),
+        baseUrl: `${req.protocol}://${req.get('host')}`
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule', message: validationError.message });
+    }
+    
+    res.status(201).json({
+      success: true,
+      schedule: schedules.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// List all recording schedules
+app.get('/api/schedules', (req, res) => {
+  try {
+    const allSchedules = schedules.listSchedules().map(schedules.formatSchedule);
+    
+    res.json({
+      success: true,
+      count: allSchedules.length,
+      schedules: allSchedules
+    });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Get a schedule with its run history
+app.get('/api/schedules/:scheduleId', (req, res) => {
+  try {
+    const schedule = schedules.readSchedule(req.params.scheduleId);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: `No schedule found with ID: ${req.params.scheduleId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      schedule: schedules.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error retrieving schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Update a schedule; only the fields present in the body are changed
+app.put('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const { name, cron, enabled } = req.body;
+    const existing = schedules.readSchedule(req.params.scheduleId);
+    
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: 'Recording failed',
-        message: 'No filename returned from recording process',
-        logFile: logFilename,
-        metricsFile: metricsFilename
+        error: 'Schedule not found',
+        message: `No schedule found with ID: ${req.params.scheduleId}`
       });
     }
     
-    // Get file information
-    const resultPath = path.join(uploadsDir, resultFilename);
-    let fileSize = 0;
+    // Options are checked together with the ones kept from the schedule, e.g. adding
+    // locales to a schedule that records several platforms
+    const overrides = extractRecordOverrides(req.body);
+    const request = { ...existing.request, ...overrides };
+    if (!request.url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
+    
+    const validationError = validateRecordRequest(request);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: 'Invalid recording options', message: validationError });
+    }
     
     try {
-      if (fs.existsSync(resultPath)) {
-        fileSize = fs.statSync(resultPath).size;
-      } else {
-        console.error(`Result file not found: ${resultPath}`);
-      }
-    } catch (err) {
-      console.error(`Error checking result file: ${err.message}`);
+      schedules.validateScheduleSettings({ cron, enabled });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule', message: validationError.message });
     }
     
-    // Get the host from request
-    const host = req.get('host');
-    const protocol = req.protocol;
+    const schedule = await schedules.updateSchedule(req.params.scheduleId, {
+      name,
+      cron,
+      enabled,
+      request: overrides
+    });
     
-    // Build the absolute URL
-    const fileUrl = `/uploads/${resultFilename}`;
-    const absoluteUrl = `${protocol}://${host}/uploads/${resultFilename}`;
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: `No schedule found with ID: ${req.params.scheduleId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      schedule: schedules.formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Delete a schedule; recordings it already queued are kept
+app.delete('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    if (!(await schedules.deleteSchedule(req.params.scheduleId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: `No schedule found with ID: ${req.params.scheduleId}`
+      });
+    }
     
-    // Determine the content type
-    const isImage = resultFilename.endsWith('.png');
-    const contentType = isImage ? 'image/png' : 
-                       resultFilename.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
+    res.json({
+      success: true,
+      message: 'Schedule deleted',
+      scheduleId: req.params.scheduleId
+    });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Get an overview of the shared recording queue
+app.get('/api/queue', (req, res) => {
+  try {
+    const queued = queue.listQueued();
     
-    // Return the recording details
     res.json({
       success: true,
-      recordings: [{
-        sessionId: result.sessionId || resultFilename.split('-')[1],
-        timestamp: new Date().toISOString(),
-        url: url,
-        platform: platform || 'UNKNOWN',
-        duration: duration || 10,
-        resolution: result.resolution || result.width && result.height ? `${result.width}x${result.height}` : 'UNKNOWN',
-        quality: quality || result.quality || 'balanced',
-        video: {
-          filename: resultFilename,
-          url: fileUrl,
-          absoluteUrl: absoluteUrl,
-          size: fileSize,
-          fileType: contentType,
-          created: new Date().toISOString()
-        },
-        log: {
-          filename: logFilename,
-          url: `/api/logs/${logFilename}`,
-          size: fs.existsSync(path.join(logsDir, logFilename)) ? fs.statSync(path.join(logsDir, logFilename)).size : 0,
-          created: new Date().toISOString()
-        },
-        metrics: {
-          filename: metricsFilename,
-          url: `/api/metrics/${metricsFilename}`,
-          size: fs.existsSync(path.join(metricsDir, metricsFilename)) ? fs.statSync(path.join(metricsDir, metricsFilename)).size : 0,
-          created: new Date().toISOString()
-        }
-      }]
+      queued: queued.length,
+      jobs: queued.map((marker, index) => ({
+        jobId: marker.jobId,
+        position: index + 1,
+        queuedAt: new Date(marker.createdAt).toISOString(),
+        statusUrl: `/api/jobs/${marker.jobId}`
+      })),
+      activeRecordings: queue.countActiveSlots('browser'),
+      activeEncodes: queue.countActiveSlots('encode'),
+      maxConcurrentRecordings: queue.MAX_CONCURRENT_RECORDINGS,
+      maxConcurrentEncodes: queue.MAX_CONCURRENT_ENCODES
     });
   } catch (error) {
-    console.error('Error during recording:', error);
+    console.error('Error retrieving queue:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -420,6 +936,33 @@ app.get('/api/logs/:filename', (req, res) => {
   }
 });
 
+// Add API endpoint to download a session's HAR file
+app.get('/api/har/:filename', (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const harPath = path.join(harDir, filename);
+    
+    // Check if file exists and ensure it's a HAR file for security
+    if (!isHarFilename(filename) || !fs.existsSync(harPath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'HAR file not found',
+        message: 'The requested HAR file does not exist or is not a valid HAR'
+      });
+    }
+    
+    res.set('Content-Type', 'application/json');
+    res.download(harPath, filename);
+  } catch (error) {
+    console.error('Error retrieving HAR file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // Add API endpoint to get the latest metrics file
 app.get('/api/latest-metrics', (req, res) => {
   try {
@@ -630,6 +1173,18 @@ app.get('/api/recordings', async (req, res) => {
         };
       });
     
+    // Get all HAR files (only sessions recorded with har.record have one)
+    const harFiles = fs.existsSync(harDir) ? fs.readdirSync(harDir)
+      .filter(file => file.endsWith('.har'))
+      .map(file => {
+        const stats = fs.statSync(path.join(harDir, file));
+        return {
+          filename: file,
+          size: stats.size,
+          created: stats.mtime.getTime()
+        };
+      }) : [];
+    
     // Extract session IDs and timestamps from filenames
     const recordingSessions = [];
     const processedIds = new Set();
@@ -662,6 +1217,8 @@ app.get('/api/recordings', async (req, res) => {
       const matchingLog = logFiles.find(log => log.filename.includes(sessionId));
       // Find matching metrics file
       const matchingMetrics = metricsFiles.find(metric => metric.filename.includes(sessionId));
+      // Find matching HAR file
+      const matchingHar = harFiles.find(har => har.filename.includes(sessionId));
       
       // Get log content for URL and additional info
       let url = null;
@@ -770,6 +1327,12 @@ app.get('/api/recordings', async (req, res) => {
           url: `/api/metrics/${matchingMetrics.filename}`,
           size: matchingMetrics.size,
           created: new Date(matchingMetrics.created).toISOString()
+        } : null,
+        har: matchingHar ? {
+          filename: matchingHar.filename,
+          url: `/api/har/${matchingHar.filename}`,
+          size: matchingHar.size,
+          created: new Date(matchingHar.created).toISOString()
         } : null
       });
       
@@ -791,7 +1354,10 @@ app.get('/api/recordings', async (req, res) => {
           const content = fs.readFileSync(file.path, 'utf8');
           
           // Check for parent session indicators
-          const isParentSession = content.includes('Starting multi-platform recording session') || 
+          const isMultiLocale = content.includes('Starting multi-locale recording session') ||
+                               content.includes('MULTI_LOCALE_PARENT_SESSION');
+          const isParentSession = isMultiLocale ||
+                                 content.includes('Starting multi-platform recording session') || 
                                  content.includes('MULTI_PLATFORM_PARENT_SESSION');
                                  
           console.log(`Checking file ${file.filename}: ${isParentSession ? 'IS PARENT SESSION' : 'not parent session'}`);
@@ -809,7 +1375,7 @@ app.get('/api/recordings', async (req, res) => {
               
               // Try another pattern
               if (!sessionId) {
-                const altSessionIdMatch = content.match(/MULTI_PLATFORM_PARENT_SESSION,ID=([a-f0-9]{8})/);
+                const altSessionIdMatch = content.match(/MULTI_(?:PLATFORM|LOCALE)_PARENT_SESSION,ID=([a-f0-9]{8})/);
                 if (altSessionIdMatch) {
                   sessionId = altSessionIdMatch[1];
                 }
@@ -837,6 +1403,20 @@ app.get('/api/recordings', async (req, res) => {
             }
             console.log(`  - Found platforms: ${platforms.join(', ')}`);
             
+            // Multi-locale parents list their locales, and which child recorded each one
+            const locales = [];
+            const childLocales = {};
+            if (isMultiLocale) {
+              const localesMatch = content.match(/MULTI_LOCALE_PARENT_SESSION,ID=[a-f0-9]{8},LOCALES=([^\s]+)/);
+              if (localesMatch) {
+                locales.push(...localesMatch[1].split(','));
+              }
+              for (const match of content.matchAll(/Completed recording for locale: ([^,\s]+), result: recording-([a-f0-9]{8})-/g)) {
+                childLocales[match[2]] = match[1];
+              }
+              console.log(`  - Found locales: ${locales.join(', ')}`);
+            }
+            
             // Extract URL from the log
             let url = null;
             const urlMatch = content.match(/URL: ([^,\s]+)/);
@@ -850,6 +1430,9 @@ app.get('/api/recordings', async (req, res) => {
               filename: file.filename,
               path: file.path,
               platforms,
+              isMultiLocale,
+              locales,
+              childLocales,
               url
             };
           }
@@ -882,7 +1465,47 @@ app.get('/api/recordings', async (req, res) => {
       
       console.log(`  - Found ${childRecordings.length} child recordings`);
       
-      if (childRecordings.length > 0) {
+      if (childRecordings.length > 0 && parentLog.isMultiLocale) {
+        // Keep the locales in the order they were requested
+        const localeOf = (r) => parentLog.childLocales[r.sessionId] || null;
+        childRecordings.sort((a, b) => parentLog.locales.indexOf(localeOf(a)) - parentLog.locales.indexOf(localeOf(b)));
+        
+        recordingSessions.push({
+          sessionId: parentLog.sessionId,
+          timestamp: childRecordings[0].timestamp,
+          url: parentLog.url || childRecordings[0].url,
+          isMultiLocale: true,
+          localeCount: childRecordings.length,
+          duration: childRecordings[0].duration,
+          parentLog: {
+            filename: parentLog.filename,
+            url: `/api/logs/${parentLog.filename}`,
+            path: parentLog.path
+          },
+          locales: childRecordings.map(r => ({
+            locale: localeOf(r),
+            pageUrl: r.url,
+            platform: r.platform,
+            video: r.video,
+            log: r.log,
+            metrics: r.metrics,
+            har: r.har,
+            resolution: r.resolution,
+            sessionId: r.sessionId
+          }))
+        });
+        
+        // Remove the individual recordings
+        childRecordings.forEach(r => {
+          const index = recordingSessions.findIndex(s => s.sessionId === r.sessionId);
+          if (index !== -1) {
+            console.log(`  - Removing individual recording ${r.sessionId} (now part of locale group)`);
+            recordingSessions.splice(index, 1);
+          }
+        });
+        
+        console.log(`  - Created multi-locale entry for session ${parentLog.sessionId}`);
+      } else if (childRecordings.length > 0) {
         // Sort recordings by platform to ensure consistent ordering
         childRecordings.sort((a, b) => {
           const platformOrder = { 'STANDARD_16_9': 1, 'SQUARE': 2, 'VERTICAL_9_16': 3 };
@@ -914,6 +1537,7 @@ app.get('/api/recordings', async (req, res) => {
               },
               log: r.log,
               metrics: r.metrics,
+              har: r.har,
               resolution: r.resolution,
               sessionId: r.sessionId
             };
@@ -953,6 +1577,25 @@ app.get('/api/recordings', async (req, res) => {
   }
 });
 
+// List the devices that can be emulated with the device option
+app.get('/api/devices', (req, res) => {
+  try {
+    const devices = listDevices();
+    res.json({
+      success: true,
+      count: devices.length,
+      devices
+    });
+  } catch (error) {
+    console.error('Error listing devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // Add API endpoint to get the latest frame rates from metrics
 app.get('/api/frame-rates', (req, res) => {
   try {
@@ -1039,7 +1682,9 @@ app.delete('/api/recordings/:sessionId', (req, res) => {
         try {
           const content = fs.readFileSync(path.join(logsDir, file), 'utf8');
           return content.includes('Starting multi-platform recording session') || 
-                 content.includes('MULTI_PLATFORM_PARENT_SESSION');
+                 content.includes('MULTI_PLATFORM_PARENT_SESSION') ||
+                 content.includes('Starting multi-locale recording session') ||
+                 content.includes('MULTI_LOCALE_PARENT_SESSION');
         } catch (err) {
           return false;
         }
@@ -1074,6 +1719,7 @@ app.delete('/api/recordings/:sessionId', (req, res) => {
     let videoFiles = [];
     let logFiles = [];
     let metricsFiles = [];
+    let harFiles = [];
     
     allSessionIds.forEach(id => {
       // Find video files for this session ID
@@ -1091,13 +1737,19 @@ app.delete('/api/recordings/:sessionId', (req, res) => {
         .filter(file => file.includes(id) && file.endsWith('.log'))
         .map(file => path.join(metricsDir, file));
       
+      // Find HAR files for this session ID
+      const sessionHarFiles = fs.existsSync(harDir) ? fs.readdirSync(harDir)
+        .filter(file => file.includes(id) && file.endsWith('.har'))
+        .map(file => path.join(harDir, file)) : [];
+      
       videoFiles = [...videoFiles, ...sessionVideoFiles];
       logFiles = [...logFiles, ...sessionLogFiles];
       metricsFiles = [...metricsFiles, ...sessionMetricsFiles];
+      harFiles = [...harFiles, ...sessionHarFiles];
     });
     
     // Combine all files
-    const allFiles = [...videoFiles, ...logFiles, ...metricsFiles];
+    const allFiles = [...videoFiles, ...logFiles, ...metricsFiles, ...harFiles];
     
     if (allFiles.length === 0) {
       return res.status(404).json({
@@ -1172,9 +1824,14 @@ app.delete('/api/recordings', (req, res) => {
       fs.readdirSync(metricsDir)
         .filter(file => file.endsWith('.log'))
         .map(file => path.join(metricsDir, file)) : [];
+      
+    const harFiles = fs.existsSync(harDir) ?
+      fs.readdirSync(harDir)
+        .filter(file => file.endsWith('.har'))
+        .map(file => path.join(harDir, file)) : [];
     
     // Combine all files
-    const allFiles = [...videoFiles, ...logFiles, ...metricsFiles];
+    const allFiles = [...videoFiles, ...logFiles, ...metricsFiles, ...harFiles];
     
     if (allFiles.length === 0) {
       return res.status(404).json({
@@ -1211,7 +1868,8 @@ app.delete('/api/recordings', (req, res) => {
         count: deletedFiles.length,
         videoCount: videoFiles.length,
         logCount: logFiles.length,
-        metricsCount: metricsFiles.length
+        metricsCount: metricsFiles.length,
+        harCount: harFiles.length
       },
       failed: {
         count: failedFiles.length,
@@ -1330,6 +1988,10 @@ if (isDev) {
 // Start the server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT} (${isDev ? 'HTTP' : 'HTTPS'})`);
+  
+  // Every worker pulls recordings from the shared queue and checks for due schedules
+  startJobWorker();
+  schedules.startScheduler();
 }).on('error', (err) => {
         if (err.code === 'EADDRINUSE') {
     console.error(`Port ${PORT} is already in use. Please kill the process using this port.`);
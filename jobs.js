@@ -0,0 +1,476 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { recordWebsite, recordWithPlatformSettings, recordMultiplePlatforms, recordMultipleLocales } = require('./recorder');
+const { buildRecordingPayload } = require('./results');
+const queue = require('./queue');
+const { deliverWebhook } = require('./webhooks');
+const { stripAuth } = require('./auth');
+const { withFileLock, isProcessAlive } = require('./file-lock');
+
+// Job states in the order a recording moves through them
+const JOB_STATUSES = ['queued', 'launching', 'navigating', 'recording', 'encoding', 'done', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Status code reported to synchronous callers whose recording was cancelled
+const CANCELLED_STATUS_CODE = 409;
+
+// How often each worker checks the shared queue for work
+const DISPATCH_INTERVAL = 1000;
+
+// Longest a synchronous caller waits for its job before getting the job's status instead
+const SYNC_TIMEOUT = (parseInt(process.env.SYNC_TIMEOUT_SECONDS, 10) || 600) * 1000;
+
+// Jobs are stored on disk so every cluster worker can answer status requests.
+// They can hold credentials and webhook secrets, so only the service's user can read them.
+const jobsDir = path.resolve(__dirname, 'data', 'jobs');
+if (!fs.existsSync(jobsDir)) {
+  fs.mkdirSync(jobsDir, { recursive: true, mode: 0o700 });
+}
+
+function jobFilePath(jobId) {
+  return path.join(jobsDir, `job-${jobId}.json`);
+}
+
+// Check a job ID before using it in a file path
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && /^[a-f0-9]{8}$/.test(jobId);
+}
+
+// IDs of every stored job
+function listJobIds() {
+  return fs.readdirSync(jobsDir)
+    .map(file => file.match(/^job-([a-f0-9]{8})\.json$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+// Read a job from disk, returns null if it doesn't exist
+function readJob(jobId) {
+  if (!isValidJobId(jobId)) return null;
+
+  const filePath = jobFilePath(jobId);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading job ${jobId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Write a job to disk atomically so readers never see a partial file
+function writeJob(job) {
+  const filePath = jobFilePath(job.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(job, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+  return job;
+}
+
+// Updates this worker has started on each job, so they're applied in the order they were made
+const pendingUpdates = new Map();
+
+// Merge changes into a stored job, resolves with the updated job. changes can also be a
+// function that gets the stored job and returns the changes (or null for none); it's called
+// under the job's lock, so changes built from the stored job can't overwrite another worker's update.
+function updateJob(jobId, changes) {
+  if (!isValidJobId(jobId)) return Promise.resolve(null);
+
+  const previous = pendingUpdates.get(jobId) || Promise.resolve();
+  const update = previous.then(() => withFileLock(`${jobFilePath(jobId)}.lock`, () => {
+    const job = readJob(jobId);
+    if (!job) return null;
+
+    const jobChanges = typeof changes === 'function' ? changes(job) : changes;
+    if (!jobChanges) return job;
+
+    return writeJob({
+      ...job,
+      ...jobChanges,
+      updatedAt: new Date().toISOString()
+    });
+  }));
+
+  // The chain carries on whether or not this update worked
+  const settled = update.catch(() => {});
+  pendingUpdates.set(jobId, settled);
+  settled.then(() => {
+    if (pendingUpdates.get(jobId) === settled) pendingUpdates.delete(jobId);
+  });
+  return update;
+}
+
+// Create a queued job for a recording request.
+// A callbackUrl gets a signed POST with the final payload once the job finishes.
+function createJob(request, baseUrl, { callbackUrl, callbackSecret, batchId, scheduleId } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4().substr(0, 8),
+    status: 'queued',
+    request,
+    baseUrl,
+    batchId: batchId || null,
+    scheduleId: scheduleId || null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    progress: null,
+    events: [],
+    webhook: callbackUrl ? {
+      url: callbackUrl,
+      secret: callbackSecret || null,
+      status: 'pending',
+      attempts: []
+    } : null
+  };
+
+  writeJob(job);
+  queue.enqueue(job.id, Date.parse(now));
+  console.log(`Queued recording job ${job.id} for URL: ${request.url}`);
+  return job;
+}
+
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// Webhook statuses of deliveries that haven't settled yet
+const UNSETTLED_WEBHOOK_STATUSES = ['pending', 'retrying'];
+
+// Send the completion webhook for a finished job, recording every attempt on the job.
+// Attempts already recorded count towards the limit, so a resumed delivery carries on where it stopped.
+// The signing secret is dropped from the job once the webhook is delivered or has given up.
+function notifyWebhook(job) {
+  if (!job || !job.webhook) return;
+
+  const recordAttempt = (outcome) => {
+    const status = outcome.error === null ? 'delivered' : outcome.nextRetryAt ? 'retrying' : 'failed';
+    return updateJob(job.id, current => (current.webhook ? {
+      webhook: {
+        ...current.webhook,
+        secret: status === 'retrying' ? current.webhook.secret : null,
+        status,
+        attempts: [...current.webhook.attempts, outcome]
+      }
+    } : null));
+  };
+
+  deliverWebhook({
+    url: job.webhook.url,
+    secret: job.webhook.secret,
+    deliveryId: job.webhook.deliveryId,
+    firstAttempt: job.webhook.attempts.length + 1,
+    event: 'recording.finished',
+    payload: {
+      jobId: job.id,
+      status: job.status,
+      error: job.error,
+      finishedAt: job.finishedAt,
+      result: job.result
+    },
+    onAttempt: recordAttempt
+  }).catch(error => {
+    console.error(`Error delivering webhook for job ${job.id}: ${error.message}`);
+  });
+}
+
+// Store the final state of a job and fire its webhook.
+// Credentials are only needed while recording, so they're dropped from the stored request.
+// The webhook's delivery ID and sending worker are stored first, so a restart can resume it.
+async function finishJob(jobId, changes) {
+  const job = await updateJob(jobId, current => ({
+    ...changes,
+    request: stripAuth(current.request),
+    finishedAt: new Date().toISOString(),
+    webhook: current.webhook ? {
+      ...current.webhook,
+      deliveryId: current.webhook.deliveryId || uuidv4(),
+      workerPid: process.pid
+    } : null
+  }));
+  notifyWebhook(job);
+  return job;
+}
+
+// Carry on with completion webhooks whose worker exited before they settled.
+// Each one is claimed under the job's lock, so only one worker resumes it.
+async function resumeWebhooks() {
+  for (const jobId of listJobIds()) {
+    let claimed = false;
+    const job = await updateJob(jobId, current => {
+      const { webhook } = current;
+      if (!webhook || !isJobFinished(current) || !UNSETTLED_WEBHOOK_STATUSES.includes(webhook.status)) return null;
+      if (isProcessAlive(webhook.workerPid)) return null;
+
+      claimed = true;
+      return { webhook: { ...webhook, workerPid: process.pid } };
+    });
+    if (!claimed) continue;
+
+    // Wait out the backoff the last attempt asked for
+    const lastAttempt = job.webhook.attempts[job.webhook.attempts.length - 1];
+    const delay = lastAttempt && lastAttempt.nextRetryAt ? Math.max(0, Date.parse(lastAttempt.nextRetryAt) - Date.now()) : 0;
+    console.log(`Resuming webhook for job ${jobId} after ${job.webhook.attempts.length} attempts${delay ? ` in ${delay}ms` : ''}`);
+    setTimeout(() => notifyWebhook(readJob(jobId)), delay);
+  }
+}
+
+// Call the recorder the same way the synchronous route always has.
+// Every other request option is passed through to the recorder as it is.
+async function runRecorder(request, onProgress, signal) {
+  const { url, duration, platform, platforms, locales, device, resolution, quality, fps } = request;
+  const options = { ...request, duration: duration || 10, onProgress, signal };
+
+  // Record once per locale if requested
+  if (locales && Array.isArray(locales) && locales.length > 0) {
+    console.log(`Multi-locale recording requested: ${locales.length} locales`);
+    return recordMultipleLocales(url, locales, options);
+  }
+
+  // Handle multiple platforms if provided
+  if (platforms && Array.isArray(platforms) && platforms.length > 0) {
+    console.log(`Multi-platform recording requested: ${platforms.join(', ')}`);
+    return recordMultiplePlatforms(url, platforms, options);
+  }
+
+  // Use platform settings if provided, otherwise use legacy method
+  if (platform || device || resolution || quality || fps) {
+    return recordWithPlatformSettings(url, options);
+  }
+
+  // Call the recorder with the URL and optional duration
+  return recordWebsite(url, options.duration, options);
+}
+
+// Run a job to completion, keeping its stored status up to date
+async function runJob(jobId) {
+  const job = readJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  // Only start jobs that are still waiting, a job cancelled while queued stays cancelled
+  let claimed = false;
+  const started = await updateJob(jobId, current => {
+    if (current.status !== 'queued') return null;
+    claimed = true;
+    return {
+      status: 'launching',
+      startedAt: new Date().toISOString(),
+      workerPid: process.pid
+    };
+  });
+
+  if (!claimed) {
+    console.log(`Skipping recording job ${jobId}, it is already ${started ? started.status : 'gone'}`);
+    queue.clearCancelRequest(jobId);
+    return started;
+  }
+
+  // Watch for cancellation requests, which may come through any worker
+  const controller = new AbortController();
+  const checkCancelled = () => {
+    if (!controller.signal.aborted && queue.isCancelRequested(jobId)) {
+      console.log(`Cancelling recording job ${jobId}`);
+      controller.abort();
+    }
+  };
+  checkCancelled();
+  const cancelTimer = setInterval(checkCancelled, DISPATCH_INTERVAL);
+
+  // Recorder phases map directly onto job statuses. Phase transitions are kept
+  // in the job's event list, periodic updates only replace the latest progress.
+  const onProgress = (update) => {
+    if (!JOB_STATUSES.includes(update.status) || controller.signal.aborted) return;
+
+    const progress = { ...update, at: new Date().toISOString() };
+    const isPhaseEvent = update.event && !update.event.endsWith('_PROGRESS');
+    updateJob(jobId, current => ({
+      status: update.status,
+      progress,
+      events: isPhaseEvent ? [...(current.events || []), progress] : current.events
+    })).catch(error => {
+      console.error(`Error saving progress for job ${jobId}: ${error.message}`);
+    });
+  };
+
+  let payload;
+  try {
+    const result = await runRecorder(job.request, onProgress, controller.signal);
+    payload = buildRecordingPayload(job.request, result, job.baseUrl);
+  } catch (error) {
+    console.error(`Error running job ${jobId}:`, error);
+    payload = {
+      statusCode: 500,
+      body: {
+        success: false,
+        error: 'Server error',
+        message: error.message
+      }
+    };
+  }
+
+  clearInterval(cancelTimer);
+  queue.clearCancelRequest(jobId);
+
+  const failed = payload.statusCode >= 400;
+  const status = controller.signal.aborted ? 'cancelled' : failed ? 'failed' : 'done';
+  console.log(`Recording job ${jobId} ${status}`);
+
+  return finishJob(jobId, {
+    status,
+    error: failed ? (payload.body.message || payload.body.error) : null,
+    statusCode: status === 'cancelled' ? CANCELLED_STATUS_CODE : payload.statusCode,
+    result: payload.body
+  });
+}
+
+// Cancel a job: queued jobs are dropped straight away, running ones are
+// stopped by the worker that owns them. Resolves with the updated job.
+async function cancelJob(jobId) {
+  const job = readJob(jobId);
+  if (!job || isJobFinished(job)) return job;
+
+  if (job.status === 'queued' && queue.removeFromQueue(jobId)) {
+    console.log(`Cancelled queued recording job ${jobId}`);
+    return finishJob(jobId, {
+      status: 'cancelled',
+      error: 'Recording cancelled',
+      statusCode: CANCELLED_STATUS_CODE,
+      result: { success: false, error: 'Recording cancelled', recordings: [] }
+    });
+  }
+
+  queue.requestCancel(jobId);
+  return updateJob(jobId, { cancelRequestedAt: new Date().toISOString() });
+}
+
+// Claim queued jobs while this machine has free browser slots
+async function dispatchQueuedJobs() {
+  // Put back jobs whose worker died mid-recording. The job is marked queued before its
+  // marker goes back, so a worker that claims it straight away finds it ready to run.
+  // Jobs that finished or were cancelled in the meantime only need the marker dropped.
+  for (const marker of queue.listOrphaned()) {
+    const job = await updateJob(marker.jobId, current => (
+      isJobFinished(current) ? null : { status: 'queued', workerPid: null }
+    ));
+
+    if (!job || isJobFinished(job)) {
+      queue.finishClaim(marker);
+    } else if (queue.requeueClaim(marker)) {
+      console.log(`Requeued recording job ${marker.jobId} after its worker exited`);
+    }
+  }
+
+  while (queue.listQueued().length > 0) {
+    const releaseBrowserSlot = queue.acquireSlot('browser', queue.MAX_CONCURRENT_RECORDINGS, `pid-${process.pid}`);
+    if (!releaseBrowserSlot) return;
+
+    const marker = queue.claimNext();
+    if (!marker) {
+      releaseBrowserSlot();
+      return;
+    }
+
+    console.log(`Worker ${process.pid} claimed recording job ${marker.jobId}`);
+    runJob(marker.jobId)
+      .catch(error => {
+        console.error(`Error running recording job ${marker.jobId}:`, error);
+        return finishJob(marker.jobId, {
+          status: 'failed',
+          error: error.message
+        });
+      })
+      .catch(error => {
+        console.error(`Error saving failed recording job ${marker.jobId}: ${error.message}`);
+      })
+      .finally(() => {
+        releaseBrowserSlot();
+        queue.finishClaim(marker);
+      });
+  }
+}
+
+// Start polling the shared queue from this worker
+function startJobWorker() {
+  console.log(`Job worker ${process.pid} started (max ${queue.MAX_CONCURRENT_RECORDINGS} recordings, ${queue.MAX_CONCURRENT_ENCODES} encodes)`);
+
+  resumeWebhooks().catch(error => {
+    console.error(`Error resuming webhooks: ${error.message}`);
+  });
+
+  // A slow pass (e.g. waiting on job locks) isn't overlapped by the next one
+  let dispatching = false;
+  const timer = setInterval(() => {
+    if (dispatching) return;
+    dispatching = true;
+    dispatchQueuedJobs()
+      .catch(error => {
+        console.error(`Error dispatching queued jobs: ${error.message}`);
+      })
+      .finally(() => {
+        dispatching = false;
+      });
+  }, DISPATCH_INTERVAL);
+
+  // Don't keep the process alive just for the queue poller
+  timer.unref();
+  return timer;
+}
+
+// Wait for a job to finish, whichever worker ends up running it.
+// Gives up after timeout ms and returns the job as it stands, which may still be running.
+async function waitForJob(jobId, timeout = SYNC_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  let job = readJob(jobId);
+  while (job && !isJobFinished(job) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, DISPATCH_INTERVAL));
+    job = readJob(jobId);
+  }
+  return job;
+}
+
+// Public view of a job for the status endpoint
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    queuePosition: job.status === 'queued' ? queue.getQueuePosition(job.id) : null,
+    url: job.request.url,
+    batchId: job.batchId || null,
+    scheduleId: job.scheduleId || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    cancelRequestedAt: job.cancelRequestedAt || null,
+    progress: job.progress || null,
+    statusUrl: `/api/jobs/${job.id}`,
+    // The signing secret is never echoed back
+    webhook: job.webhook ? {
+      url: job.webhook.url,
+      status: job.webhook.status,
+      attempts: job.webhook.attempts
+    } : null,
+    result: job.result
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createJob,
+  readJob,
+  updateJob,
+  runJob,
+  cancelJob,
+  startJobWorker,
+  waitForJob,
+  isJobFinished,
+  formatJob
+};
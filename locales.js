@@ -0,0 +1,62 @@
+// Recording the same page once per locale
+const { isValidLocale, isValidTimezone } = require('./context-options');
+
+// Largest number of locales accepted in one request
+const MAX_LOCALES = 50;
+
+// A locale entry is either a language tag or { locale, timezoneId, url }
+function normalizeLocaleEntry(entry) {
+  if (typeof entry === 'string') {
+    return { locale: entry, timezoneId: null, url: null };
+  }
+  return {
+    locale: entry.locale,
+    timezoneId: entry.timezoneId || null,
+    url: entry.url || null
+  };
+}
+
+// Check a locales option, throwing an error that describes the first invalid entry
+function validateLocales(locales) {
+  if (!Array.isArray(locales) || locales.length === 0) {
+    throw new Error('locales must be a non-empty array');
+  }
+  if (locales.length > MAX_LOCALES) {
+    throw new Error(`locales can contain at most ${MAX_LOCALES} entries`);
+  }
+
+  const seen = new Set();
+  locales.forEach((entry, index) => {
+    if (typeof entry !== 'string' && (!entry || typeof entry !== 'object' || Array.isArray(entry))) {
+      throw new Error(`locales[${index}] must be a language tag or an object with a "locale"`);
+    }
+
+    const { locale, timezoneId, url } = normalizeLocaleEntry(entry);
+    if (!isValidLocale(locale)) {
+      throw new Error(`locales[${index}] must be a BCP 47 language tag, e.g. "de-DE"`);
+    }
+    if (timezoneId !== null && !isValidTimezone(timezoneId)) {
+      throw new Error(`locales[${index}].timezoneId must be an IANA time zone, e.g. "Europe/Berlin"`);
+    }
+    if (url !== null && typeof url !== 'string') {
+      throw new Error(`locales[${index}].url must be a string`);
+    }
+    if (seen.has(locale.toLowerCase())) {
+      throw new Error(`locales contains ${locale} more than once`);
+    }
+    seen.add(locale.toLowerCase());
+  });
+}
+
+// Fill a URL template for a locale: {locale} becomes "de-DE", {language} becomes "de"
+function localizeUrl(url, locale) {
+  return url
+    .split('{locale}').join(locale)
+    .split('{language}').join(locale.split('-')[0]);
+}
+
+module.exports = {
+  normalizeLocaleEntry,
+  validateLocales,
+  localizeUrl
+};
@@ -0,0 +1,165 @@
+// Mocked responses for requests matching per-recording route rules
+const { compilePattern } = require('./network');
+
+// Largest number of rules and longest delay accepted in one request
+const MAX_MOCKS = 100;
+const MAX_DELAY = 60000;
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Network errors a rule can abort with, as Playwright names them
+const ABORT_ERRORS = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+  'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+// Check a mocks option, throwing an error that describes the first invalid rule
+function validateMocks(mocks) {
+  if (!Array.isArray(mocks) || mocks.length === 0) {
+    throw new Error('mocks must be a non-empty array of route rules');
+  }
+  if (mocks.length > MAX_MOCKS) {
+    throw new Error(`mocks can contain at most ${MAX_MOCKS} rules`);
+  }
+
+  mocks.forEach((rule, index) => {
+    const name = `mocks[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${name} must be an object`);
+    }
+
+    const { url, method, status, headers, json, body, contentType, delay, abort } = rule;
+    if (typeof url !== 'string' || url.trim() === '') {
+      throw new Error(`${name}.url must be a URL glob or a "/regex/" string`);
+    }
+    try {
+      compilePattern(url);
+    } catch (error) {
+      throw new Error(`${name}.url is not a valid regular expression: ${error.message}`);
+    }
+    if (method !== undefined && (typeof method !== 'string' || !METHODS.includes(method.toUpperCase()))) {
+      throw new Error(`${name}.method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (delay !== undefined && (typeof delay !== 'number' || delay < 0 || delay > MAX_DELAY)) {
+      throw new Error(`${name}.delay must be between 0 and ${MAX_DELAY} milliseconds`);
+    }
+
+    if (abort !== undefined) {
+      if (abort !== true && !ABORT_ERRORS.includes(abort)) {
+        throw new Error(`${name}.abort must be true or one of: ${ABORT_ERRORS.join(', ')}`);
+      }
+      if ([status, headers, json, body, contentType].some(value => value !== undefined)) {
+        throw new Error(`${name} can't abort and also describe a response`);
+      }
+      return;
+    }
+
+    if (status !== undefined && (!Number.isInteger(status) || status < 100 || status > 599)) {
+      throw new Error(`${name}.status must be an HTTP status code between 100 and 599`);
+    }
+    if (headers !== undefined) {
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+          Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new Error(`${name}.headers must be an object of header names and string values`);
+      }
+    }
+    if (json !== undefined && body !== undefined) {
+      throw new Error(`${name} can have "json" or "body", not both`);
+    }
+    if (body !== undefined && typeof body !== 'string') {
+      throw new Error(`${name}.body must be a string`);
+    }
+    if (contentType !== undefined && (typeof contentType !== 'string' || contentType.trim() === '')) {
+      throw new Error(`${name}.contentType must be a string`);
+    }
+  });
+}
+
+// How a rule is named in the log, e.g. "#0 GET **/api/user"
+function describeRule(rule, index) {
+  return `#${index} ${rule.method ? `${rule.method.toUpperCase()} ` : ''}${rule.url}`;
+}
+
+// Response for route.fulfill: json is serialized, and gets a JSON content type unless one is given
+function buildFulfillment(rule) {
+  const response = {
+    status: rule.status || 200,
+    headers: rule.headers || {}
+  };
+  if (rule.json !== undefined) {
+    response.body = JSON.stringify(rule.json);
+    response.contentType = rule.contentType || 'application/json';
+  } else {
+    response.body = rule.body || '';
+    if (rule.contentType) response.contentType = rule.contentType;
+  }
+  return response;
+}
+
+// Install the rules on the browser context before navigation. They're registered
+// after HAR replay and network blocking, so a matching mock answers first.
+// Requests no rule matches fall through to those handlers or the network.
+async function installMocks(context, mocks, { log, logMetrics }) {
+  const rules = mocks.map((rule, index) => ({
+    rule,
+    index,
+    regex: compilePattern(rule.url),
+    method: rule.method ? rule.method.toUpperCase() : null,
+    fulfillment: rule.abort === undefined ? buildFulfillment(rule) : null,
+    hits: 0
+  }));
+
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const match = rules.find(({ regex, method }) => regex.test(request.url()) && (!method || method === request.method()));
+    if (!match) {
+      await route.fallback();
+      return;
+    }
+
+    match.hits++;
+    try {
+      if (match.rule.delay) {
+        await new Promise(resolve => setTimeout(resolve, match.rule.delay));
+      }
+      if (match.fulfillment) {
+        await route.fulfill(match.fulfillment);
+      } else {
+        await route.abort(match.rule.abort === true ? 'failed' : match.rule.abort);
+      }
+    } catch (error) {
+      // The page may have been closed while the response was delayed
+      log(`Mock ${describeRule(match.rule, match.index)} could not respond to ${request.url()}: ${error.message}`);
+    }
+  });
+
+  log(`Installed ${rules.length} mock route rules: ${rules.map(({ rule, index }) => describeRule(rule, index)).join(', ')}`);
+  logMetrics(`MOCK_RULES,COUNT=${rules.length}`);
+
+  return rules;
+}
+
+// Log which rules answered requests and which never matched, so broken mocks are obvious
+function logMockUsage(rules, { log, logMetrics }) {
+  const unused = rules.filter(({ hits }) => hits === 0);
+  rules.forEach(({ rule, index, hits }) => {
+    log(hits > 0
+      ? `Mock ${describeRule(rule, index)} answered ${hits} request${hits === 1 ? '' : 's'}`
+      : `Warning: mock ${describeRule(rule, index)} never matched a request`);
+  });
+  logMetrics(`MOCK_USAGE,USED=${rules.length - unused.length},UNUSED=${unused.length},REQUESTS=${rules.reduce((total, { hits }) => total + hits, 0)}`);
+
+  return rules.map(({ rule, index, hits }) => ({
+    index,
+    url: rule.url,
+    method: rule.method ? rule.method.toUpperCase() : null,
+    hits
+  }));
+}
+
+module.exports = {
+  validateMocks,
+  installMocks,
+  logMockUsage
+};
@@ -0,0 +1,241 @@
+// Blocking network requests during a recording: resource types, URL patterns,
+// a built-in tracker list and a strict allowlist mode
+
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+];
+
+// Domains of common ads, analytics and chat widgets, matched with their subdomains
+const TRACKERS = {
+  ads: [
+    'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+    'amazon-adsystem.com', 'adnxs.com', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com',
+    'ads-twitter.com', 'ads.linkedin.com', 'moatads.com', 'pubmatic.com', 'rubiconproject.com', 'openx.net'
+  ],
+  analytics: [
+    'google-analytics.com', 'googletagmanager.com', 'analytics.google.com', 'connect.facebook.net',
+    'hotjar.com', 'hotjar.io', 'segment.io', 'cdn.segment.com', 'mixpanel.com', 'amplitude.com',
+    'clarity.ms', 'fullstory.com', 'bat.bing.com', 'snap.licdn.com', 'analytics.tiktok.com',
+    'quantserve.com', 'scorecardresearch.com', 'hs-analytics.net', 'bam.nr-data.net', 'heapanalytics.com'
+  ],
+  chat: [
+    'intercom.io', 'intercomcdn.com', 'drift.com', 'driftt.com', 'zdassets.com', 'zopim.com',
+    'crisp.chat', 'tawk.to', 'livechatinc.com', 'olark.com', 'hs-scripts.com', 'usemessages.com', 'tidio.co'
+  ]
+};
+
+// Turn a glob into a regular expression: ** matches anything, * anything but a slash,
+// and {a,b} either alternative
+function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Regular expressions run against every request URL, so they're kept short and simple
+const MAX_REGEX_LENGTH = 200;
+
+// Reject regular expressions that can take exponential time on a crafted URL: a quantified
+// group that itself contains a quantifier, such as (a+)+ or (\w*\/)*
+function checkRegexComplexity(source) {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new Error(`regular expressions can be at most ${MAX_REGEX_LENGTH} characters`);
+  }
+
+  // One entry per open group, noting whether a quantifier appeared inside it
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ hasQuantifier: false });
+    } else if (char === ')') {
+      const group = groups.pop();
+      const next = source[i + 1];
+      const quantified = next === '*' || next === '+' || next === '{';
+      if (group && group.hasQuantifier && quantified) {
+        throw new Error('nested quantifiers such as (a+)+ are not allowed');
+      }
+      if (group && (group.hasQuantifier || quantified) && groups.length > 0) {
+        groups[groups.length - 1].hasQuantifier = true;
+      }
+    } else if ((char === '*' || char === '+' || char === '{') && groups.length > 0) {
+      groups[groups.length - 1].hasQuantifier = true;
+    }
+  }
+}
+
+// A pattern is a glob, or a regular expression written as "/source/flags"
+function compilePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+  if (!regexMatch) return globToRegExp(pattern);
+
+  checkRegexComplexity(regexMatch[1]);
+  return new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+}
+
+// Check a list of URL patterns
+function validatePatterns(patterns, name) {
+  if (!Array.isArray(patterns)) {
+    throw new Error(`${name} must be an array of URL globs or "/regex/" strings`);
+  }
+  patterns.forEach((pattern, index) => {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      throw new Error(`${name}[${index}] must be a URL glob or a "/regex/" string`);
+    }
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      throw new Error(`${name}[${index}] is not a valid regular expression: ${error.message}`);
+    }
+  });
+}
+
+// Check a network option, throwing an error that describes what's wrong
+function validateNetwork(network) {
+  if (!network || typeof network !== 'object' || Array.isArray(network)) {
+    throw new Error('network must be an object');
+  }
+
+  const { blockResourceTypes, block, blockTrackers, allow } = network;
+  if (blockResourceTypes !== undefined) {
+    if (!Array.isArray(blockResourceTypes) || blockResourceTypes.some(type => !RESOURCE_TYPES.includes(type))) {
+      throw new Error(`network.blockResourceTypes must be an array of: ${RESOURCE_TYPES.join(', ')}`);
+    }
+  }
+  if (block !== undefined) {
+    validatePatterns(block, 'network.block');
+  }
+  if (blockTrackers !== undefined && typeof blockTrackers !== 'boolean') {
+    if (!Array.isArray(blockTrackers) || blockTrackers.some(category => !TRACKERS[category])) {
+      throw new Error(`network.blockTrackers must be true or an array of: ${Object.keys(TRACKERS).join(', ')}`);
+    }
+  }
+  if (allow !== undefined) {
+    validatePatterns(allow, 'network.allow');
+  }
+}
+
+// Tracker category of a hostname, or null
+function trackerCategory(hostname, categories) {
+  for (const category of categories) {
+    if (TRACKERS[category].some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+      return category;
+    }
+  }
+  return null;
+}
+
+// The page being recorded is never blocked, so a bad rule can't blank the whole video
+function isMainDocument(request) {
+  try {
+    return request.isNavigationRequest() && request.frame().parentFrame() === null;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Install the blocking rules on the browser context before navigation.
+// Requests that aren't blocked fall through to any other route handlers.
+// Returns the blocked-request counts per category.
+async function installNetworkRules(context, network, pageUrl, { log, logMetrics }) {
+  const resourceTypes = network.blockResourceTypes || [];
+  const blockPatterns = (network.block || []).map(pattern => ({ pattern, regex: compilePattern(pattern) }));
+  const trackerCategories = network.blockTrackers === true ? Object.keys(TRACKERS) : (network.blockTrackers || []);
+  const allowPatterns = network.allow ? network.allow.map(compilePattern) : null;
+  const pageOrigin = new URL(pageUrl).origin;
+
+  const stats = { total: 0, byCategory: {} };
+  const countBlocked = (category) => {
+    stats.total++;
+    stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+  };
+
+  // First matching rule decides why a request is blocked, null lets it through
+  const blockReason = (request) => {
+    if (isMainDocument(request)) return null;
+
+    const url = request.url();
+    if (resourceTypes.includes(request.resourceType())) return `type:${request.resourceType()}`;
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Unparseable URLs can still match a pattern
+    }
+    if (parsed && trackerCategories.length > 0) {
+      const category = trackerCategory(parsed.hostname, trackerCategories);
+      if (category) return `tracker:${category}`;
+    }
+    if (blockPatterns.some(({ regex }) => regex.test(url))) return 'pattern';
+
+    // Allowlist mode: only the page's own origin and the listed patterns get through
+    if (allowPatterns && !(parsed && parsed.origin === pageOrigin) && !allowPatterns.some(regex => regex.test(url))) {
+      return 'allowlist';
+    }
+    return null;
+  };
+
+  await context.route('**/*', async (route) => {
+    const reason = blockReason(route.request());
+    if (!reason) {
+      await route.fallback();
+      return;
+    }
+    countBlocked(reason);
+    await route.abort('blockedbyclient');
+  });
+
+  const rules = [
+    resourceTypes.length ? `resource types ${resourceTypes.join(', ')}` : null,
+    trackerCategories.length ? `trackers (${trackerCategories.join(', ')})` : null,
+    blockPatterns.length ? `${blockPatterns.length} URL patterns` : null,
+    allowPatterns ? `allowlist of ${allowPatterns.length} patterns plus ${pageOrigin}` : null
+  ].filter(Boolean);
+  log(`Network blocking enabled: ${rules.join(', ') || 'no rules'}`);
+  logMetrics(`NETWORK_RULES,RESOURCE_TYPES=${resourceTypes.length},PATTERNS=${blockPatterns.length},TRACKERS=${trackerCategories.join('|') || 'none'},ALLOWLIST=${allowPatterns ? allowPatterns.length : 'off'}`);
+
+  return stats;
+}
+
+// Log the blocked-request counts per category once the recording is done
+function logNetworkStats(stats, { log, logMetrics }) {
+  const categories = Object.keys(stats.byCategory).sort();
+  log(`Blocked ${stats.total} requests${categories.length ? `: ${categories.map(category => `${category} ${stats.byCategory[category]}`).join(', ')}` : ''}`);
+  logMetrics(`NETWORK_BLOCKED,TOTAL=${stats.total}${categories.map(category => `,${category.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}=${stats.byCategory[category]}`).join('')}`);
+  return { blocked: stats.total, byCategory: { ...stats.byCategory } };
+}
+
+module.exports = {
+  compilePattern,
+  validateNetwork,
+  installNetworkRules,
+  logNetworkStats
+};
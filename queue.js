@@ -0,0 +1,218 @@
+const path = require('path');
+const fs = require('fs');
+const { isProcessAlive, readLockOwner, createLockOwner, tryCreateLock, removeStaleLock, releaseLock } = require('./file-lock');
+
+// Concurrency limits shared by every worker on this machine
+const MAX_CONCURRENT_RECORDINGS = parseInt(process.env.MAX_CONCURRENT_RECORDINGS, 10) || 2;
+const MAX_CONCURRENT_ENCODES = parseInt(process.env.MAX_CONCURRENT_ENCODES, 10) || 1;
+
+// How often waiting callers re-check for a free slot
+const SLOT_POLL_INTERVAL = 1000;
+
+// The queue lives on disk so all PM2 cluster workers share it and it survives restarts:
+// - queue/   one marker file per waiting job, named so they sort oldest first
+// - running/ markers moved here by the worker that claimed the job, named with its pid
+// - locks/   one lock file per occupied browser or encode slot
+// - cancel/  cancellation requests picked up by the worker running the job
+const dataDir = path.resolve(__dirname, 'data');
+const queueDir = path.join(dataDir, 'queue');
+const runningDir = path.join(dataDir, 'running');
+const locksDir = path.join(dataDir, 'locks');
+const cancelDir = path.join(dataDir, 'cancel');
+
+[queueDir, runningDir, locksDir, cancelDir].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// Marker names start with the zero-padded creation time so a plain sort gives queue order
+function markerName(jobId, createdAt) {
+  return `${String(createdAt).padStart(15, '0')}-${jobId}`;
+}
+
+function parseMarker(name) {
+  const match = name.match(/^(\d+)-([a-f0-9]{8})$/);
+  return match ? { name, createdAt: parseInt(match[1], 10), jobId: match[2] } : null;
+}
+
+// Running markers carry the claiming worker's pid, e.g. 000001714557600000-3f9c2a1b.4242
+function parseRunningMarker(runningName) {
+  const match = runningName.match(/^(.+)\.(\d+)$/);
+  const marker = match ? parseMarker(match[1]) : null;
+  return marker ? { ...marker, runningName, pid: parseInt(match[2], 10) } : null;
+}
+
+// Add a job to the end of the queue (or back into its original place when requeued)
+function enqueue(jobId, createdAt = Date.now()) {
+  fs.writeFileSync(path.join(queueDir, markerName(jobId, createdAt)), '');
+}
+
+// List queued jobs, oldest first
+function listQueued() {
+  return fs.readdirSync(queueDir)
+    .map(parseMarker)
+    .filter(marker => marker !== null)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Get the 1-based queue position of a job, or null if it isn't waiting
+function getQueuePosition(jobId) {
+  const index = listQueued().findIndex(marker => marker.jobId === jobId);
+  return index === -1 ? null : index + 1;
+}
+
+// Remove a job from the queue before any worker has claimed it
+function removeFromQueue(jobId) {
+  const marker = listQueued().find(entry => entry.jobId === jobId);
+  if (!marker) return false;
+
+  try {
+    fs.unlinkSync(path.join(queueDir, marker.name));
+    return true;
+  } catch (error) {
+    // Another worker claimed it first
+    return false;
+  }
+}
+
+// Claim the oldest queued job for this process.
+// Renaming is atomic, so only one worker can move a given marker into running/, and
+// the new name records the owner in the same step, so no marker is ever left without one.
+function claimNext() {
+  for (const marker of listQueued()) {
+    const runningName = `${marker.name}.${process.pid}`;
+    try {
+      fs.renameSync(path.join(queueDir, marker.name), path.join(runningDir, runningName));
+    } catch (error) {
+      continue;
+    }
+
+    return { ...marker, runningName, pid: process.pid };
+  }
+  return null;
+}
+
+// Drop the running marker once a claimed job has finished
+function finishClaim(marker) {
+  try {
+    fs.unlinkSync(path.join(runningDir, marker.runningName));
+  } catch (error) {
+    console.error(`Error removing running marker ${marker.runningName}: ${error.message}`);
+  }
+}
+
+// List jobs claimed by workers that have since died
+function listOrphaned() {
+  return fs.readdirSync(runningDir)
+    .map(parseRunningMarker)
+    .filter(marker => marker !== null && !isProcessAlive(marker.pid));
+}
+
+// Move an orphaned claim back into the queue, keeping its place in line.
+// Returns false if another worker already moved or dropped it.
+function requeueClaim(marker) {
+  try {
+    fs.renameSync(path.join(runningDir, marker.runningName), path.join(queueDir, marker.name));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Ask whichever worker is running a job to cancel it
+function requestCancel(jobId) {
+  fs.writeFileSync(path.join(cancelDir, jobId), JSON.stringify({ requestedAt: Date.now() }));
+}
+
+function isCancelRequested(jobId) {
+  return fs.existsSync(path.join(cancelDir, jobId));
+}
+
+function clearCancelRequest(jobId) {
+  try {
+    fs.unlinkSync(path.join(cancelDir, jobId));
+  } catch (error) {
+    // Nothing to clear
+  }
+}
+
+// Try to take one of `limit` slots of the given kind, returns a release function or null
+function acquireSlot(kind, limit, owner) {
+  for (let i = 0; i < limit; i++) {
+    const lockPath = path.join(locksDir, `${kind}-${i}.lock`);
+
+    // Free up slots left behind by dead processes. Locks are linked into place with their
+    // owner already written, so one that can't be read is damaged and is freed too.
+    // removeStaleLock checks it's still the same lock, so a slot another worker has
+    // just taken over is never freed from under it.
+    if (fs.existsSync(lockPath)) {
+      const existing = readLockOwner(lockPath);
+      if ((!existing || !isProcessAlive(existing.pid)) && removeStaleLock(lockPath, existing)) {
+        console.log(`Removed stale ${kind} slot ${i} ${existing ? `held by dead process ${existing.pid}` : 'with no owner'}`);
+      }
+    }
+
+    const lockOwner = createLockOwner({ owner });
+    if (!tryCreateLock(lockPath, lockOwner)) continue;
+
+    // Only this holder's lock is removed, even if the slot has changed hands since
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      try {
+        if (!releaseLock(lockPath, lockOwner)) {
+          console.error(`${kind} slot ${i} was no longer held by ${owner} when it was released`);
+        }
+      } catch (error) {
+        console.error(`Error releasing ${kind} slot ${i}: ${error.message}`);
+      }
+    };
+  }
+  return null;
+}
+
+// Wait until a slot of the given kind is free, giving up if the signal is aborted
+async function waitForSlot(kind, limit, owner, { onWait, signal } = {}) {
+  let release = acquireSlot(kind, limit, owner);
+  while (!release) {
+    if (signal && signal.aborted) {
+      throw new Error(`Cancelled while waiting for a free ${kind} slot`);
+    }
+    if (onWait) onWait();
+    await new Promise(resolve => setTimeout(resolve, SLOT_POLL_INTERVAL));
+    release = acquireSlot(kind, limit, owner);
+  }
+  return release;
+}
+
+// Count occupied slots of a kind held by live processes
+function countActiveSlots(kind) {
+  return fs.readdirSync(locksDir)
+    .filter(name => name.startsWith(`${kind}-`) && name.endsWith('.lock'))
+    .filter(name => {
+      const existing = readLockOwner(path.join(locksDir, name));
+      return existing && isProcessAlive(existing.pid);
+    })
+    .length;
+}
+
+module.exports = {
+  MAX_CONCURRENT_RECORDINGS,
+  MAX_CONCURRENT_ENCODES,
+  enqueue,
+  listQueued,
+  getQueuePosition,
+  removeFromQueue,
+  claimNext,
+  finishClaim,
+  listOrphaned,
+  requeueClaim,
+  requestCancel,
+  isCancelRequested,
+  clearCancelRequest,
+  acquireSlot,
+  waitForSlot,
+  countActiveSlots
+};
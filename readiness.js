@@ -0,0 +1,200 @@
+// Conditions a page has to meet before the recording window starts
+
+const DEFAULT_READINESS_TIMEOUT = 30000;
+const NAVIGATION_WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+
+// Long-lived connections never finish, so they don't count against a quiet network
+const STREAMING_RESOURCE_TYPES = ['eventsource', 'websocket'];
+
+// Error raised when the page doesn't become ready in time
+function createReadinessError(message) {
+  const error = new Error(message);
+  error.readinessFailed = true;
+  return error;
+}
+
+// Check a readiness option, throwing an error that describes what's wrong
+function validateReadiness(readiness) {
+  if (!readiness || typeof readiness !== 'object' || Array.isArray(readiness)) {
+    throw new Error('readiness must be an object');
+  }
+
+  const { selector, predicate, fonts, images, networkQuiet, bridge, waitUntil, timeout } = readiness;
+  const selectors = Array.isArray(selector) ? selector : (selector !== undefined ? [selector] : []);
+  if (selectors.some(value => typeof value !== 'string' || value.trim() === '')) {
+    throw new Error('readiness.selector must be a CSS selector or an array of them');
+  }
+  if (predicate !== undefined && (typeof predicate !== 'string' || predicate.trim() === '')) {
+    throw new Error('readiness.predicate must be a JavaScript expression string');
+  }
+  if (fonts !== undefined && typeof fonts !== 'boolean') {
+    throw new Error('readiness.fonts must be true or false');
+  }
+  if (images !== undefined && typeof images !== 'boolean') {
+    throw new Error('readiness.images must be true or false');
+  }
+  if (bridge !== undefined && typeof bridge !== 'boolean') {
+    throw new Error('readiness.bridge must be true or false');
+  }
+  if (networkQuiet !== undefined && (typeof networkQuiet !== 'number' || networkQuiet <= 0)) {
+    throw new Error('readiness.networkQuiet must be a positive number of milliseconds');
+  }
+  if (waitUntil !== undefined && !NAVIGATION_WAIT_UNTIL.includes(waitUntil)) {
+    throw new Error(`readiness.waitUntil must be one of: ${NAVIGATION_WAIT_UNTIL.join(', ')}`);
+  }
+  if (timeout !== undefined && (typeof timeout !== 'number' || timeout <= 0)) {
+    throw new Error('readiness.timeout must be a positive number of milliseconds');
+  }
+}
+
+// Track in-flight requests so we can wait for a quiet network. Must be
+// attached before navigation to see the page's first requests.
+function trackNetworkActivity(page) {
+  const inFlight = new Set();
+  let lastActivity = Date.now();
+
+  const onRequest = (request) => {
+    if (STREAMING_RESOURCE_TYPES.includes(request.resourceType())) return;
+    inFlight.add(request);
+    lastActivity = Date.now();
+  };
+  const onDone = (request) => {
+    if (inFlight.delete(request)) lastActivity = Date.now();
+  };
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  return {
+    inFlightCount: () => inFlight.size,
+    quietFor: () => (inFlight.size > 0 ? 0 : Date.now() - lastActivity),
+    dispose: () => {
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+    }
+  };
+}
+
+// Resolve with the promise's value, or reject once ms have passed
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout ${ms}ms exceeded`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Reject as soon as the session is cancelled, so it doesn't sit out the readiness timeout
+function rejectOnAbort(promise, signal) {
+  if (!signal) return promise;
+  let onAbort;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      onAbort = () => reject(new Error('Cancelled while waiting for the page'));
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    })
+  ]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Wait until no requests have been in flight for quietMs
+async function waitForNetworkQuiet(tracker, quietMs, timeout, signal) {
+  const deadline = Date.now() + timeout;
+  while (tracker.quietFor() < quietMs) {
+    if (signal && signal.aborted) {
+      throw new Error('Cancelled while waiting for the network to go quiet');
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timeout ${timeout}ms exceeded with ${tracker.inFlightCount()} requests still in flight`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Wait for every requested condition in turn, sharing one overall timeout.
+// Throws an error with readinessFailed set if the page isn't ready in time,
+// or stops waiting straight away when the signal fires.
+async function waitForReadiness(page, readiness, { log, logMetrics, tracker, bridge, signal }) {
+  const timeout = readiness.timeout || DEFAULT_READINESS_TIMEOUT;
+  const startTime = Date.now();
+  const remaining = () => Math.max(1, timeout - (Date.now() - startTime));
+
+  const conditions = [];
+  const selectors = Array.isArray(readiness.selector) ? readiness.selector : (readiness.selector ? [readiness.selector] : []);
+  selectors.forEach(selector => {
+    conditions.push({
+      name: `selector ${selector}`,
+      wait: () => page.waitForSelector(selector, { state: 'visible', timeout: remaining() })
+    });
+  });
+  if (readiness.predicate) {
+    conditions.push({
+      name: `predicate ${readiness.predicate}`,
+      wait: () => page.waitForFunction(readiness.predicate, null, { polling: 100, timeout: remaining() })
+    });
+  }
+  if (readiness.fonts) {
+    conditions.push({
+      name: 'fonts',
+      wait: () => withTimeout(page.evaluate(() => document.fonts.ready.then(() => document.fonts.size)), remaining())
+    });
+  }
+  if (readiness.images) {
+    conditions.push({
+      name: 'images',
+      wait: () => withTimeout(page.evaluate(() => Promise.all(
+        Array.from(document.images).map(image => image.decode().catch(() => null))
+      )), remaining())
+    });
+  }
+  if (readiness.bridge) {
+    conditions.push({
+      name: 'window.recorder.ready()',
+      wait: () => withTimeout(bridge.ready, remaining())
+    });
+  }
+  if (readiness.networkQuiet) {
+    conditions.push({
+      name: `network quiet for ${readiness.networkQuiet}ms`,
+      wait: () => waitForNetworkQuiet(tracker, readiness.networkQuiet, remaining(), signal)
+    });
+  }
+
+  log(`Waiting up to ${timeout}ms for ${conditions.length} readiness conditions: ${conditions.map(condition => condition.name).join(', ')}`);
+  logMetrics(`READINESS_START,CONDITIONS=${conditions.length},TIMEOUT=${timeout}ms`);
+
+  for (const condition of conditions) {
+    const conditionStart = Date.now();
+    try {
+      await rejectOnAbort(condition.wait(), signal);
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      const elapsed = Date.now() - startTime;
+      log(`Page not ready: ${condition.name} not met after ${elapsed}ms (${error.message.split('\n')[0]})`);
+      logMetrics(`READINESS_TIMEOUT,CONDITION=${condition.name},ELAPSED=${elapsed}ms`);
+      throw createReadinessError(`Page not ready after ${elapsed}ms: ${condition.name} not met`);
+    }
+    log(`Readiness condition met: ${condition.name} (${Date.now() - conditionStart}ms)`);
+    logMetrics(`READINESS_CONDITION_MET,CONDITION=${condition.name},DURATION=${Date.now() - conditionStart}ms`);
+  }
+
+  const duration = Date.now() - startTime;
+  logMetrics(`READINESS_COMPLETE,DURATION=${duration}ms`);
+  return { durationMs: duration, conditions: conditions.map(condition => condition.name) };
+}
+
+module.exports = {
+  validateReadiness,
+  trackNetworkActivity,
+  withTimeout,
+  waitForReadiness
+};
@@ -4,6 +4,21 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const os = require('os');
 const { execSync, spawn } = require('child_process');
+const { MAX_CONCURRENT_ENCODES, waitForSlot, countActiveSlots } = require('./queue');
+const { runActions } = require('./actions');
+const { runScroll } = require('./scroll');
+const { trackNetworkActivity, waitForReadiness } = require('./readiness');
+const { installRecorderBridge, summarizeBridge } = require('./bridge');
+const { resolveElementCrop } = require('./crop');
+const { installCursorOverlay } = require('./cursor');
+const { createRedactor, buildAuthContextOptions, applyAuth } = require('./auth');
+const { resolveContextOptions, buildContextOptions, describeContextOptions } = require('./context-options');
+const { findDevice, deviceCaptureSize, describeDevice } = require('./devices');
+const { normalizeLocaleEntry, localizeUrl } = require('./locales');
+const { installNetworkRules, logNetworkStats } = require('./network');
+const { normalizeHar, checkReplayFile, harPathForLog, buildHarContextOptions, applyHarReplay, finalizeHar } = require('./har');
+const { installMocks, logMockUsage } = require('./mocks');
+const { DEFAULT_CAPTURE, usesFramePipe, createFramePipe, captureVirtualTime, startScreencast } = require('./capture');
 
 // Balanced video configuration for speed and quality
 const VIDEO_FPS = 60;
@@ -21,6 +36,11 @@ const THREAD_COUNT = 8; // Use all available cores
 const AVAILABLE_CORES = 8;
 const AVAILABLE_MEMORY = 16; // GB
 
+// Retry policy for transient failures, overridable per request
+const DEFAULT_RETRIES = parseInt(process.env.RECORDING_RETRIES, 10) || 0;
+const MAX_RETRIES = 5;
+const RETRY_INITIAL_DELAY = 2000; // ms, doubled after every failed attempt
+
 // Debugging flag - set to true for verbose file system operations
 const DEBUG_FILE_OPERATIONS = true;
 
@@ -318,7 +338,7 @@ if (isAzureVM && fs.existsSync(azureTempDir)) {
 }
 
 // Enhanced logger for monitoring recording performance
-function createSessionLogger(sessionId) {
+function createSessionLogger(sessionId, { redact = message => message } = {}) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const logFilePath = path.join(logsDir, `recording-${sessionId}-${timestamp}.log`);
   const metricsFilePath = path.join(metricsDir, `metrics-${sessionId}-${timestamp}.log`);
@@ -328,14 +348,15 @@ function createSessionLogger(sessionId) {
   const metricsStream = fs.createWriteStream(metricsFilePath, { flags: 'a' });
   
   // Logger functions
+  // Credentials from the request are masked before anything is written
   const logger = (message) => {
-    const timestampedMessage = `[${new Date().toISOString()}] ${message}`;
+    const timestampedMessage = `[${new Date().toISOString()}] ${redact(message)}`;
     console.log(timestampedMessage);
     logStream.write(timestampedMessage + '\n');
   };
   
   const metricsLogger = (message) => {
-    const timestampedMessage = `[${new Date().toISOString()}] ${message}`;
+    const timestampedMessage = `[${new Date().toISOString()}] ${redact(message)}`;
     console.log(`METRICS: ${timestampedMessage}`);
     metricsStream.write(timestampedMessage + '\n');
   };
@@ -346,6 +367,50 @@ function createSessionLogger(sessionId) {
   return { log: logger, logMetrics: metricsLogger, logFilePath, metricsFilePath };
 }
 
+// Error used when a session is cancelled through its abort signal
+function createCancelledError() {
+  const error = new Error('Recording cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Classify errors that are worth retrying: returns a short reason, or null for permanent failures
+function classifyTransientError(error, { launching = false } = {}) {
+  if (!error || error.cancelled) return null;
+  
+  // Readiness timeouts come from the page itself, so another attempt would only wait them out again
+  if (error.readinessFailed) return null;
+  
+  const message = error.message || '';
+  if (/Executable doesn't exist/i.test(message)) return null;
+  if (/net::ERR_[A-Z_]+/.test(message)) return 'NETWORK_ERROR';
+  if (/Timeout \d+ms exceeded|Navigation timeout/i.test(message) && /goto|navigat/i.test(message)) return 'NAVIGATION_TIMEOUT';
+  if (launching) return 'BROWSER_LAUNCH_FAILED';
+  if (/Target (page, context or browser )?(has been )?closed|Target crashed|Page crashed|Browser (has been )?closed|browser has disconnected/i.test(message)) return 'BROWSER_CRASH';
+  return null;
+}
+
+// Wait for a number of milliseconds, ending early if the session is cancelled
+function waitUnlessCancelled(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 // Function to enhance video quality using ffmpeg with two-pass encoding
 async function enhanceVideoQuality(inputPath, outputPath, logger, videoOptions = {}) {
   return new Promise((resolve, reject) => {
@@ -368,8 +433,18 @@ async function enhanceVideoQuality(inputPath, outputPath, logger, videoOptions =
       const videoWidth = videoOptions.width || null;
       const videoHeight = videoOptions.height || null;
       const duration = videoOptions.duration || null;
+      const startOffset = videoOptions.startOffset || 0;
+      const crop = videoOptions.crop || null;
+      const pad = videoOptions.pad || null;
+      const signal = videoOptions.signal || null;
+      const onProgress = videoOptions.onProgress || null;
       
       return new Promise((resolvePass, rejectPass) => {
+        if (signal && signal.aborted) {
+          rejectPass(createCancelledError());
+          return;
+        }
+        
         const ffmpegArgs = [
           '-i', inputPath,
           '-c:v', 'libx264',
@@ -386,8 +461,21 @@ async function enhanceVideoQuality(inputPath, outputPath, logger, videoOptions =
           logger(`Limiting video duration to ${duration} seconds`);
         }
         
-        // Add aspect ratio forcing for vertical videos if specified
-        if (aspectRatio && videoWidth && videoHeight) {
+        // Skip the pre-roll before the recording window (seeking before -i is frame accurate when re-encoding)
+        if (startOffset > 0) {
+          ffmpegArgs.splice(0, 0, '-ss', startOffset.toFixed(3));
+          logger(`Skipping the first ${startOffset.toFixed(3)} seconds of the raw video`);
+        }
+        
+        // Crop to a single element's region, scaling the result if requested
+        if (crop) {
+          ffmpegArgs.push('-vf', `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y},scale=${crop.outputWidth}:${crop.outputHeight}:out_color_matrix=bt709`);
+          logger(`Cropping to ${crop.width}x${crop.height} at (${crop.x}, ${crop.y}), scaled to ${crop.outputWidth}x${crop.outputHeight}`);
+        } else if (pad) {
+          // Center a device recording in the platform's frame
+          ffmpegArgs.push('-vf', `scale=${pad.width}:${pad.height}:force_original_aspect_ratio=decrease:out_color_matrix=bt709,pad=${pad.width}:${pad.height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`);
+          logger(`Padding to ${pad.width}x${pad.height}`);
+        } else if (aspectRatio && videoWidth && videoHeight) {
           // For vertical videos, ensure exact dimensions with -s parameter
           ffmpegArgs.push('-s', `${videoWidth}x${videoHeight}`);
           ffmpegArgs.push('-aspect', aspectRatio);
@@ -411,16 +499,40 @@ async function enhanceVideoQuality(inputPath, outputPath, logger, videoOptions =
         
         const ffmpegProcess = spawn(FFMPEG_PATH, ffmpegArgs);
         
+        // Kill ffmpeg straight away if the session is cancelled mid-encode
+        const onAbort = () => {
+          logger(`Cancelling ffmpeg process ${ffmpegProcess.pid}`);
+          ffmpegProcess.kill('SIGKILL');
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        
         ffmpegProcess.stdout.on('data', (data) => {
           logger(`ffmpeg stdout: ${data}`);
         });
         
+        // ffmpeg reports "time=HH:MM:SS.xx" on stderr, which gives the encode percentage
+        let lastPercent = -1;
         ffmpegProcess.stderr.on('data', (data) => {
           logger(`ffmpeg stderr: ${data}`);
+          
+          const timeMatch = onProgress && duration && /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(data.toString());
+          if (timeMatch) {
+            const encodedSeconds = parseInt(timeMatch[1], 10) * 3600 + parseInt(timeMatch[2], 10) * 60 + parseFloat(timeMatch[3]);
+            const percent = Math.min(100, Math.floor((encodedSeconds / duration) * 100));
+            if (percent > lastPercent) {
+              lastPercent = percent;
+              onProgress(percent);
+            }
+          }
         });
         
         ffmpegProcess.on('close', (code) => {
-          if (code === 0) {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          
+          if (signal && signal.aborted) {
+            logger(`ffmpeg killed after cancellation`);
+            rejectPass(createCancelledError());
+          } else if (code === 0) {
             logger(`Single-pass encoding completed successfully: ${outputPath}`);
             resolvePass(outputPath);
           } else {
@@ -433,6 +545,7 @@ async function enhanceVideoQuality(inputPath, outputPath, logger, videoOptions =
         });
         
         ffmpegProcess.on('error', (err) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
           logger(`ffmpeg error: ${err.message}`);
           rejectPass(err);
         });
@@ -506,53 +619,105 @@ const DIMENSIONS = {
   }
 };
 
+// Quality profiles the encoder settings are picked from
+const QUALITY_PROFILES = ['low', 'balanced', 'high'];
+
+// Check a platform option, a preset or a device name, throwing an error that describes what's wrong
+function validatePlatform(platform, name = 'platform') {
+  if (typeof platform !== 'string' || platform.trim() === '') {
+    throw new Error(`${name} must be a platform or device name`);
+  }
+  if (!DIMENSIONS[platform.toUpperCase()] && !findDevice(platform)) {
+    throw new Error(`Invalid platform: ${platform}. Supported platforms: ${Object.keys(DIMENSIONS).join(', ')}, or a device name such as "iPhone 13"`);
+  }
+}
+
+function validateResolution(resolution) {
+  if (!DIMENSIONS.STANDARD_16_9.height[resolution]) {
+    throw new Error(`Invalid resolution: ${resolution}. Supported resolutions: ${Object.keys(DIMENSIONS.STANDARD_16_9.height).join(', ')}`);
+  }
+}
+
+function validateQuality(quality) {
+  if (!QUALITY_PROFILES.includes(quality)) {
+    throw new Error(`Invalid quality: ${quality}. Supported qualities: ${QUALITY_PROFILES.join(', ')}`);
+  }
+}
+
 // API endpoint for recording with platform dimensions
 async function recordWithPlatformSettings(url, options = {}) {
-  // Set defaults
-  const platform = options.platform?.toUpperCase() || 'STANDARD_16_9';
+  // A device name can stand in for the platform, e.g. "iPhone 13"
+  const platformDevice = options.platform && !DIMENSIONS[options.platform.toUpperCase()] ? findDevice(options.platform) : null;
+  const device = options.device ? findDevice(options.device) : platformDevice;
+  
+  // Set defaults; a device on its own records in its own shape
+  const platform = platformDevice ? null : (options.platform?.toUpperCase() || (device ? null : 'STANDARD_16_9'));
   const resolution = options.resolution || '1080p';
   const duration = options.duration || 10;
   const quality = options.quality || 'balanced';
   const fps = options.fps || VIDEO_FPS;
 
+  // Validate device
+  if (options.device && !device) {
+    throw new Error(`Invalid device: ${options.device}. See GET /api/devices for the supported devices`);
+  }
+
   // Validate platform
-  if (!DIMENSIONS[platform]) {
-    throw new Error(`Invalid platform: ${options.platform}. Supported platforms: SQUARE, VERTICAL_9_16, STANDARD_16_9`);
+  if (platform && !DIMENSIONS[platform]) {
+    throw new Error(`Invalid platform: ${options.platform}. Supported platforms: SQUARE, VERTICAL_9_16, STANDARD_16_9, or a device name such as "iPhone 13"`);
   }
 
   // Validate resolution
-  if (!DIMENSIONS[platform].width[resolution]) {
+  if (!DIMENSIONS.STANDARD_16_9.height[resolution]) {
     throw new Error(`Invalid resolution: ${resolution}. Supported resolutions: 720p, 1080p, 1440p, 2160p`);
   }
 
   // Get dimensions from presets
-  const width = DIMENSIONS[platform].width[resolution];
-  const height = DIMENSIONS[platform].height[resolution];
+  let width = platform ? DIMENSIONS[platform].width[resolution] : null;
+  let height = platform ? DIMENSIONS[platform].height[resolution] : null;
   
   // Ensure width is even (required for some encoders)
-  const adjustedWidth = width % 2 === 0 ? width : width + 1;
+  let adjustedWidth = width && width % 2 !== 0 ? width + 1 : width;
+  
+  // Devices are captured in their own viewport's shape, then padded into the platform's frame if there is one
+  let captureSize = null;
+  if (device) {
+    captureSize = deviceCaptureSize(device, {
+      height: DIMENSIONS.STANDARD_16_9.height[resolution],
+      frame: platform ? { width: adjustedWidth, height } : null
+    });
+    if (!platform) {
+      adjustedWidth = captureSize.width;
+      height = captureSize.height;
+    }
+  }
+  const aspectRatio = platform ? DIMENSIONS[platform].aspect : null;
 
-  console.log(`Recording with ${platform} format (${adjustedWidth}x${height}) at ${resolution} resolution`);
+  console.log(`Recording with ${platform || device.name} format (${adjustedWidth}x${height})${device && platform ? ` emulating ${device.name}` : ''} at ${resolution} resolution`);
 
   // Record with specified dimensions and enforce aspect ratio
   const result = await recordWebsite(url, duration, {
-    width: adjustedWidth,
-    height,
+    ...options,
+    width: captureSize ? captureSize.width : adjustedWidth,
+    height: captureSize ? captureSize.height : height,
+    outputWidth: adjustedWidth,
+    outputHeight: height,
+    device: device ? device.name : null,
     fps,
     quality,
     platform,
-    aspectRatio: DIMENSIONS[platform].aspect
+    aspectRatio
   });
   
-  // Ensure metadata is consistently returned
+  // Ensure metadata is consistently returned (a cropped video has the element's size)
   return {
     ...result,
-    width: adjustedWidth,
-    height,
+    width: result.crop ? result.width : adjustedWidth,
+    height: result.crop ? result.height : height,
     fps,
     resolution,
-    platform,
-    aspectRatio: DIMENSIONS[platform].aspect,
+    platform: platform || device.name,
+    aspectRatio,
     duration
   };
 }
@@ -560,7 +725,8 @@ async function recordWithPlatformSettings(url, options = {}) {
 // Record a website with balanced quality
 async function recordWebsite(url, duration = 10, options = {}) {
   const sessionId = uuidv4().substr(0, 8);
-  const { log, logMetrics, logFilePath, metricsFilePath } = createSessionLogger(sessionId);
+  const redact = createRedactor(options.auth, options.context && options.context.headers);
+  const { log, logMetrics, logFilePath, metricsFilePath } = createSessionLogger(sessionId, { redact });
   const sessionStartTime = Date.now();
   
   // Allow overriding default settings through options
@@ -568,9 +734,50 @@ async function recordWebsite(url, duration = 10, options = {}) {
   const videoHeight = options.height || VIDEO_HEIGHT;
   const videoFps = options.fps || VIDEO_FPS;
   const fastMode = options.fastMode !== undefined ? options.fastMode : true; // Default to fast mode
+  // A request's hardware_acceleration overrides the default, anything but true turns it off
+  const hardwareAcceleration = options.hardware_acceleration !== undefined ? options.hardware_acceleration === true : USE_HARDWARE_ACCELERATION;
   const quality = options.quality || 'balanced'; // 'low', 'balanced', 'high'
   const platform = options.platform || null;
   const aspectRatio = options.aspectRatio || null;
+  const actions = Array.isArray(options.actions) ? options.actions : [];
+  const scroll = options.scroll || null;
+  const readiness = options.readiness || null;
+  const selector = options.selector || null;
+  const cursor = options.cursor || null;
+  const auth = options.auth || null;
+  const network = options.network || null;
+  const har = normalizeHar(options.har);
+  const mocks = Array.isArray(options.mocks) && options.mocks.length > 0 ? options.mocks : null;
+  const capture = options.capture || DEFAULT_CAPTURE;
+  const framePipeCapture = usesFramePipe(capture);
+  const sessionHarPath = harPathForLog(logFilePath);
+  
+  // An emulated device sets the page's viewport, pixel ratio, touch support and
+  // user agent; the video is still captured at videoWidth x videoHeight
+  const emulatedDevice = options.device ? findDevice(options.device) : null;
+  const viewport = emulatedDevice ? emulatedDevice.viewport : { width: videoWidth, height: videoHeight };
+  const deviceScaleFactor = emulatedDevice ? emulatedDevice.deviceScaleFactor : 2;
+  const outputWidth = options.outputWidth || videoWidth;
+  const outputHeight = options.outputHeight || videoHeight;
+  const contextSettings = resolveContextOptions(options.context, { userAgent: emulatedDevice ? emulatedDevice.userAgent : null });
+  
+  // Cancellation is driven by an optional AbortSignal from the caller
+  const signal = options.signal || null;
+  const throwIfCancelled = () => {
+    if (signal && signal.aborted) throw createCancelledError();
+  };
+  
+  // Report phase transitions to the caller (used for job status tracking)
+  let currentPhase = 'starting';
+  const reportProgress = (update) => {
+    if (update.status) currentPhase = update.status;
+    if (typeof options.onProgress !== 'function') return;
+    try {
+      options.onProgress({ sessionId, ...update });
+    } catch (progressError) {
+      log(`Error reporting progress: ${progressError.message}`);
+    }
+  };
   
   // Add platform parameter to URL if it's not already there and platform is specified
   let recordingUrl = url;
@@ -607,8 +814,14 @@ async function recordWebsite(url, duration = 10, options = {}) {
   log(`Starting balanced recording session ${sessionId} for ${recordingUrl} with duration ${duration}s`);
   log(`System: ${numCPUs} CPU cores, ${totalMem}GB RAM, ${os.platform()}`);
   log(`Video settings: ${videoWidth}x${videoHeight} @ ${videoFps}fps, ${VIDEO_BITRATE} bitrate`);
+  if (emulatedDevice) {
+    log(`Emulating ${emulatedDevice.name}: ${viewport.width}x${viewport.height} viewport at ${deviceScaleFactor}x, ${emulatedDevice.isMobile ? 'mobile' : 'desktop'}${emulatedDevice.hasTouch ? ', touch' : ''}${outputWidth !== videoWidth || outputHeight !== videoHeight ? `, padded to ${outputWidth}x${outputHeight}` : ''}`);
+  }
   log(`Quality profile: ${quality}, Fast mode: ${fastMode ? 'ON' : 'OFF'}`);
-  log(`Hardware acceleration: ${USE_HARDWARE_ACCELERATION ? 'Enabled' : 'Disabled'}`);
+  log(`Capture backend: ${capture}`);
+  log(`Browser context: locale ${contextSettings.locale || 'default'} (Accept-Language: ${contextSettings.acceptLanguage}), timezone ${contextSettings.timezoneId || 'system'}, ${contextSettings.colorScheme} color scheme, reduced motion ${contextSettings.reducedMotion}${contextSettings.geolocation ? `, geolocation ${contextSettings.geolocation.latitude},${contextSettings.geolocation.longitude}` : ''}${contextSettings.permissions.length ? `, permissions: ${contextSettings.permissions.join(', ')}` : ''}${Object.keys(contextSettings.headers).length ? `, extra headers: ${Object.keys(contextSettings.headers).join(', ')}` : ''}`);
+  log(`User-Agent: ${contextSettings.userAgent}`);
+  log(`Hardware acceleration: ${hardwareAcceleration ? 'Enabled' : 'Disabled'}`);
   log(`Temp directory: ${tempDir}`);
   log(`Session started at: ${new Date(sessionStartTime).toISOString()}`);
   
@@ -616,578 +829,925 @@ async function recordWebsite(url, duration = 10, options = {}) {
   logMetrics(`SESSION_START,ID=${sessionId},URL=${recordingUrl},DURATION=${duration}s`);
   logMetrics(`SYSTEM,CORES=${numCPUs},RAM=${totalMem}GB,PLATFORM=${os.platform()},RELEASE=${os.release()}`);
   logMetrics(`VIDEO_SETTINGS,WIDTH=${videoWidth},HEIGHT=${videoHeight},FPS=${videoFps},BITRATE=${VIDEO_BITRATE}`);
-  logMetrics(`QUALITY_PROFILE=${quality},FAST_MODE=${fastMode},HARDWARE_ACCELERATION=${USE_HARDWARE_ACCELERATION ? 'Enabled' : 'Disabled'}`);
+  if (emulatedDevice) {
+    logMetrics(`DEVICE_EMULATION,DEVICE=${emulatedDevice.name},VIEWPORT=${viewport.width}x${viewport.height},DPR=${deviceScaleFactor},MOBILE=${emulatedDevice.isMobile},TOUCH=${emulatedDevice.hasTouch},OUTPUT=${outputWidth}x${outputHeight}`);
+  }
+  logMetrics(`QUALITY_PROFILE=${quality},FAST_MODE=${fastMode},HARDWARE_ACCELERATION=${hardwareAcceleration ? 'Enabled' : 'Disabled'}`);
+  logMetrics(`CAPTURE_BACKEND,NAME=${capture},FPS=${videoFps}`);
+  logMetrics(`CONTEXT_OPTIONS,LOCALE=${contextSettings.locale || 'default'},TIMEZONE=${contextSettings.timezoneId || 'system'},COLOR_SCHEME=${contextSettings.colorScheme},REDUCED_MOTION=${contextSettings.reducedMotion},GEOLOCATION=${Boolean(contextSettings.geolocation)},PERMISSIONS=${contextSettings.permissions.length},HEADERS=${Object.keys(contextSettings.headers).length}`);
   
   // Regular log memory usage
   const initialMemUsage = process.memoryUsage();
   logMetrics(`MEMORY_USAGE,RSS=${Math.round(initialMemUsage.rss / 1024 / 1024)}MB,HEAP_TOTAL=${Math.round(initialMemUsage.heapTotal / 1024 / 1024)}MB,HEAP_USED=${Math.round(initialMemUsage.heapUsed / 1024 / 1024)}MB`);
   
-  // Generate filenames
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const rawVideoFilename = `raw-recording-${sessionId}-${timestamp}.webm`;
-  const rawVideoPath = path.join(tempDir, rawVideoFilename);
-  const finalVideoFilename = `recording-${sessionId}-${timestamp}.mp4`;
-  const finalVideoPath = path.join(uploadsDir, finalVideoFilename);
+  // Fail before launching a browser if the HAR to replay has gone since the request was accepted
+  if (har && har.replay) {
+    try {
+      checkReplayFile(har.replay);
+    } catch (error) {
+      log(error.message);
+      logMetrics(`HAR_REPLAY_MISSING,FILE=${har.replay}`);
+      throw error;
+    }
+  }
   
-  // Launch browser
-  let browser;
-  let context;
-  let page;
-  let recordedVideoPath;
+  // Transient failures (timeouts, network errors, crashes, empty videos) are retried with exponential backoff
+  const requestedRetries = parseInt(options.retries, 10);
+  const maxRetries = Math.max(0, Math.min(MAX_RETRIES, Number.isNaN(requestedRetries) ? DEFAULT_RETRIES : requestedRetries));
+  const maxAttempts = maxRetries + 1;
+  const requestedDelay = parseInt(options.retryDelay, 10);
+  const retryDelay = Number.isNaN(requestedDelay) || requestedDelay < 0 ? RETRY_INITIAL_DELAY : requestedDelay;
+  if (maxRetries > 0) {
+    log(`Retry policy: up to ${maxRetries} retries for transient errors, starting at ${retryDelay}ms backoff`);
+    logMetrics(`RETRY_POLICY,MAX_RETRIES=${maxRetries},INITIAL_DELAY=${retryDelay}ms`);
+  }
   
-  try {
-    // Enhanced browser arguments for better rendering on high-end system
-    const browserArgs = [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-web-security',
-      '--autoplay-policy=no-user-gesture-required',
-      '--disable-extensions',
-      '--mute-audio',
-      
-      // Hardware acceleration optimizations - fully enabled
-      '--enable-gpu-rasterization',
-      '--enable-accelerated-video-decode',
-      '--enable-accelerated-2d-canvas',
-      '--enable-accelerated-video',
-      '--ignore-gpu-blocklist',
-      '--force-gpu-rasterization',
-      '--enable-oop-rasterization',
-      '--enable-zero-copy',
-      '--use-angle=gl',
-      
-      // Frame rate and rendering optimizations
-      '--disable-frame-rate-limit',
-      '--disable-gpu-vsync',
-      
-      // Memory optimizations for 16GB system
-      `--js-flags=--max-old-space-size=${Math.floor(AVAILABLE_MEMORY * 1024 * 0.25)}`, // 25% of available RAM
-      '--memory-pressure-off',
-      '--disable-renderer-backgrounding',
-      
-      // RAM usage optimizations
-      '--enable-features=MemoryOptimization',
-      '--enable-javascript-harmony',
-      '--single-process', // Use single process to maximize RAM usage efficiency
-      '--disable-site-isolation-trials',
-      
-      // Better compositing
-      '--enable-features=VaapiVideoDecoder,CanvasOopRasterization,VizDisplayCompositor',
-      
-      // Thread optimizations for 8-core system
-      '--renderer-process-limit=8',
-      '--num-raster-threads=8',
-      '--enable-thread-composting'
-    ];
-    
-    // Platform-specific optimizations
-    if (os.platform() === 'linux') {
-      browserArgs.push('--use-gl=egl');
+  // One attempt runs a complete browser session; failed attempts may be retried below
+  const runAttempt = async (attempt) => {
+    if (maxAttempts > 1) {
+      log(`Attempt ${attempt}/${maxAttempts}`);
+      logMetrics(`ATTEMPT_START,NUMBER=${attempt},MAX=${maxAttempts}`);
     }
     
-    // Log browser launch time
-    const browserStartTime = Date.now();
-    logMetrics(`BROWSER_LAUNCH_START,TIME=${browserStartTime}`);
+    // Generate filenames
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const rawVideoFilename = `raw-recording-${sessionId}-${timestamp}.${framePipeCapture ? 'mp4' : 'webm'}`;
+    const rawVideoPath = path.join(tempDir, rawVideoFilename);
+    const finalVideoFilename = `recording-${sessionId}-${timestamp}.mp4`;
+    const finalVideoPath = path.join(uploadsDir, finalVideoFilename);
     
-    // Launch browser with longer timeout and better gpu usage
-    log('Launching browser with enhanced graphics settings...');
-    browser = await chromium.launch({
-      headless: true,
-      args: browserArgs,
-      timeout: 60000,
-      chromiumSandbox: false,
-      handleSIGINT: true,
-      handleSIGTERM: true,
-      handleSIGHUP: true
-    });
-    
-    const browserLaunchDuration = Date.now() - browserStartTime;
-    logMetrics(`BROWSER_LAUNCH_COMPLETE,DURATION=${browserLaunchDuration}ms`);
-    log('Browser launched successfully with enhanced graphics settings');
-    
-    // Create browser context with high quality video recording
-    log('Creating browser context with high quality video recording...');
+    // Each attempt captures its own HAR, so a retry never adds its requests to a failed attempt's file
+    const harPath = attempt === 1 ? sessionHarPath : sessionHarPath.replace(/\.har$/, `-attempt-${attempt}.har`);
     
-    // First, ensure temp directory exists with proper permissions
-    if (!fs.existsSync(tempDir)) {
-      log(`Creating temp directory: ${tempDir}`);
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    // Set explicit video filename to avoid path detection issues
-    const recordingFileName = `recording-${sessionId}-${Date.now()}.webm`;
-    const recordingPath = path.join(tempDir, recordingFileName);
-    log(`Setting explicit recording path: ${recordingPath}`);
+    // Each session records into its own temp folder so concurrent sessions never touch each other's files
+    const sessionTempDir = path.join(tempDir, `session-${sessionId}`);
     
-    // Log context creation time
-    const contextStartTime = Date.now();
-    logMetrics(`CONTEXT_CREATION_START,TIME=${contextStartTime}`);
+    // Launch browser
+    let browser;
+    let context;
+    let page;
+    let recordedVideoPath;
+    let actionResults = null;
+    let scrollResult = null;
+    let readinessResult = null;
+    let bridge = null;
+    let elementCrop = null;
+    let pointer = null;
+    let networkStats = null;
+    let networkResult = null;
+    let harResult = null;
+    let mockRules = null;
+    let mockResult = null;
+    let framePipe = null;
+    let frameCapture = null;
     
-    context = await browser.newContext({
-      viewport: { width: videoWidth, height: videoHeight },
-      deviceScaleFactor: 2, // Better rendering on high-DPI displays
-      colorScheme: 'light', // More consistent rendering
-      recordVideo: {
-        dir: tempDir,
-        size: { width: videoWidth, height: videoHeight },
-        fps: videoFps,
-        path: recordingPath // Explicitly set the recording path
-      },
-      ignoreHTTPSErrors: true,
-      javaScriptEnabled: true,
-      bypassCSP: true, // Allow loading of all resources
-      extraHTTPHeaders: {
-        'Accept-Language': 'en-US,en;q=0.9'
+    // Closing the browser makes any pending Playwright call reject, which unwinds the session
+    const onAbort = () => {
+      log(`Cancellation requested during ${currentPhase} phase`);
+      if (browser) {
+        browser.close().catch(e => log(`Browser close error during cancellation: ${e.message}`));
       }
-    });
-    
-    const contextCreationDuration = Date.now() - contextStartTime;
-    logMetrics(`CONTEXT_CREATION_COMPLETE,DURATION=${contextCreationDuration}ms`);
-    
-    // Store known recording path for later use if Playwright fails to return it
-    page = await context.newPage();
-    recordedVideoPath = recordingPath; // Pre-set the path we know it should use
-    log('Browser context created with high quality settings');
-    
-    // Page was already created when setting up the context
-    log('Page already created, configuring with optimized settings...');
-    
-    // Set extra headers for better content loading
-    await page.setExtraHTTPHeaders({
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept-Encoding': 'gzip, deflate, br'
-    });
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
     
-    // Enable better JS performance and add viewport information
-    await page.addInitScript(({ width, height, aspectRatio }) => {
-      window.devicePixelRatio = 2; // Force high DPI rendering
-      
-      // Make viewport dimensions and aspect ratio available to the page
-      window.recordingViewport = {
-        width: width,
-        height: height,
-        aspectRatio: aspectRatio
-      };
+    try {
+      // Enhanced browser arguments for better rendering on high-end system
+      const browserArgs = [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-web-security',
+        '--autoplay-policy=no-user-gesture-required',
+        '--disable-extensions',
+        '--mute-audio',
+        
+        // Hardware acceleration optimizations - fully enabled
+        '--enable-gpu-rasterization',
+        '--enable-accelerated-video-decode',
+        '--enable-accelerated-2d-canvas',
+        '--enable-accelerated-video',
+        '--ignore-gpu-blocklist',
+        '--force-gpu-rasterization',
+        '--enable-oop-rasterization',
+        '--enable-zero-copy',
+        '--use-angle=gl',
+        
+        // Frame rate and rendering optimizations
+        '--disable-frame-rate-limit',
+        '--disable-gpu-vsync',
+        
+        // Memory optimizations for 16GB system
+        `--js-flags=--max-old-space-size=${Math.floor(AVAILABLE_MEMORY * 1024 * 0.25)}`, // 25% of available RAM
+        '--memory-pressure-off',
+        '--disable-renderer-backgrounding',
+        
+        // RAM usage optimizations
+        '--enable-features=MemoryOptimization',
+        '--enable-javascript-harmony',
+        '--single-process', // Use single process to maximize RAM usage efficiency
+        '--disable-site-isolation-trials',
+        
+        // Better compositing
+        '--enable-features=VaapiVideoDecoder,CanvasOopRasterization,VizDisplayCompositor',
+        
+        // Thread optimizations for 8-core system
+        '--renderer-process-limit=8',
+        '--num-raster-threads=8',
+        '--enable-thread-composting'
+      ];
       
-      // Add a style tag to optimize for vertical/landscape content if needed
-      if (aspectRatio) {
-        const style = document.createElement('style');
-        style.textContent = `
-          :root {
-            --recording-width: ${width}px;
-            --recording-height: ${height}px;
-            --recording-aspect-ratio: ${aspectRatio};
-          }
-          
-          /* Add viewport-specific optimizations */
-          @media (max-width: 500px) {
-            body {
-              max-width: ${width}px;
-              width: 100%;
-              overflow-x: hidden;
-            }
-          }
-        `;
-        document.head.appendChild(style);
+      // Platform-specific optimizations
+      if (os.platform() === 'linux') {
+        browserArgs.push('--use-gl=egl');
       }
-    }, { 
-      width: videoWidth, 
-      height: videoHeight, 
-      aspectRatio: options.aspectRatio 
-    });
-    
-    log('Page created with optimized settings');
-    
-    // Log the navigation time
-    const navigationStartTime = Date.now();
-    logMetrics(`PAGE_NAVIGATION_START,URL=${recordingUrl},TIME=${navigationStartTime}`);
-    
-    // Navigate to URL with better settings
-    log(`Loading page with high quality settings: ${recordingUrl}`);
-    await page.goto(recordingUrl, { 
-      waitUntil: 'networkidle',
-      timeout: 60000
-    });
-    
-    const navigationDuration = Date.now() - navigationStartTime;
-    logMetrics(`PAGE_NAVIGATION_COMPLETE,DURATION=${navigationDuration}ms,TITLE="${await page.title()}"`);
-    
-    log(`Page loaded. Title: ${await page.title()}`);
-    
-    // Let the page stabilize for smoother video start
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // For vertical videos, adjust the content to fit better
-    if (options.aspectRatio === '9:16') {
-      await page.evaluate(async () => {
-        // Add viewport-specific adjustment for vertical videos
-        const style = document.createElement('style');
-        style.textContent = `
-          body, html {
-            width: 100%;
-            max-width: 100%;
-            overflow-x: hidden;
-          }
-          .container, .main, main, .content {
-            width: 100%;
-            max-width: 100%;
-            margin-left: 0;
-            margin-right: 0;
-            padding-left: 0;
-            padding-right: 0;
+      
+      // Log browser launch time
+      const browserStartTime = Date.now();
+      logMetrics(`BROWSER_LAUNCH_START,TIME=${browserStartTime}`);
+      reportProgress({ status: 'launching', event: 'BROWSER_LAUNCH_START' });
+      
+      // Launch browser with longer timeout and better gpu usage
+      log('Launching browser with enhanced graphics settings...');
+      browser = await chromium.launch({
+        headless: true,
+        args: browserArgs,
+        timeout: 60000,
+        chromiumSandbox: false,
+        handleSIGINT: true,
+        handleSIGTERM: true,
+        handleSIGHUP: true
+      });
+      
+      throwIfCancelled();
+      
+      const browserLaunchDuration = Date.now() - browserStartTime;
+      logMetrics(`BROWSER_LAUNCH_COMPLETE,DURATION=${browserLaunchDuration}ms`);
+      reportProgress({ status: 'launching', event: 'BROWSER_LAUNCH_COMPLETE' });
+      log('Browser launched successfully with enhanced graphics settings');
+      
+      // Create browser context with high quality video recording
+      log('Creating browser context with high quality video recording...');
+      
+      // First, ensure temp directory exists with proper permissions
+      if (!fs.existsSync(sessionTempDir)) {
+        log(`Creating session temp directory: ${sessionTempDir}`);
+        fs.mkdirSync(sessionTempDir, { recursive: true });
+      }
+      
+      // Set explicit video filename to avoid path detection issues.
+      // Frame capture encodes straight to the raw video path, so there's no webm to find afterwards.
+      const recordingFileName = `recording-${sessionId}-${Date.now()}.webm`;
+      const recordingPath = framePipeCapture ? rawVideoPath : path.join(sessionTempDir, recordingFileName);
+      log(`Setting explicit recording path: ${recordingPath}`);
+      
+      // Log context creation time
+      const contextStartTime = Date.now();
+      logMetrics(`CONTEXT_CREATION_START,TIME=${contextStartTime}`);
+      
+      context = await browser.newContext({
+        viewport,
+        deviceScaleFactor, // 2 by default for better rendering on high-DPI displays
+        ...(emulatedDevice ? {
+          screen: emulatedDevice.screen || viewport,
+          isMobile: emulatedDevice.isMobile,
+          hasTouch: emulatedDevice.hasTouch
+        } : {}),
+        ...(framePipeCapture ? {} : {
+          recordVideo: {
+            dir: sessionTempDir,
+            size: { width: videoWidth, height: videoHeight },
+            fps: videoFps,
+            path: recordingPath // Explicitly set the recording path
           }
-        `;
-        document.head.appendChild(style);
+        }),
+        ignoreHTTPSErrors: true,
+        javaScriptEnabled: true,
+        bypassCSP: true, // Allow loading of all resources
+        extraHTTPHeaders: {
+          'Accept-Language': contextSettings.acceptLanguage
+        },
+        // Light color scheme by default for more consistent rendering
+        ...buildContextOptions(contextSettings, { customUserAgent: Boolean(emulatedDevice || (options.context && options.context.userAgent)) }),
+        ...buildAuthContextOptions(auth),
+        // Playwright writes the HAR when the context closes
+        ...buildHarContextOptions(har, harPath)
       });
-      log('Added vertical video optimizations to page');
-      logMetrics(`VERTICAL_OPTIMIZATIONS_APPLIED,ASPECT_RATIO=${options.aspectRatio}`);
-    }
-    
-    // Skip scrolling - per user request
-    log('Page content ready for recording - no scrolling');
-    
-    // Log recording start
-    const recordingStartTime = Date.now();
-    logMetrics(`RECORDING_START,TIME=${recordingStartTime},DURATION=${duration}s`);
-    
-    // Wait for recording duration
-    log(`Recording high quality video for ${duration} seconds...`);
-    await new Promise(resolve => setTimeout(resolve, duration * 1000));
-    
-    const recordingDuration = Date.now() - recordingStartTime;
-    logMetrics(`RECORDING_COMPLETE,DURATION=${recordingDuration}ms`);
-    log('Recording duration completed');
-    
-    // Close page to finish recording
-    log('Closing page to end recording...');
-    if (page && !page.isClosed()) {
-      await page.close();
-      log('Page closed');
-    }
-    
-    // Close context to ensure video is saved
-    log('Closing context to finish video recording...');
-    if (context) {
-      try {
-        // Wait before closing to ensure video data is flushed
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      
+      const contextCreationDuration = Date.now() - contextStartTime;
+      logMetrics(`CONTEXT_CREATION_COMPLETE,DURATION=${contextCreationDuration}ms`);
+      reportProgress({ status: 'launching', event: 'CONTEXT_CREATION_COMPLETE' });
+      
+      // Cookies and storage entries have to be in place before the first request
+      if (auth) {
+        await applyAuth(context, auth, recordingUrl, { log, logMetrics });
+      }
+      
+      // Registered before the blocking rules, which fall through to it for requests they let pass
+      if (har && har.replay) {
+        await applyHarReplay(context, har, { log, logMetrics });
+      }
+      
+      // Blocked requests are aborted at once, so they never hold up networkidle
+      if (network) {
+        networkStats = await installNetworkRules(context, network, recordingUrl, { log, logMetrics });
+      }
+      
+      // Mocks are registered last so they answer before blocking or HAR replay
+      if (mocks) {
+        mockRules = await installMocks(context, mocks, { log, logMetrics });
+      }
+      
+      // Store known recording path for later use if Playwright fails to return it
+      page = await context.newPage();
+      
+      // Playwright starts the page's video when the page is created, so the pre-roll is measured from here
+      const videoStartTime = Date.now();
+      recordedVideoPath = recordingPath; // Pre-set the path we know it should use
+      log('Browser context created with high quality settings');
+      
+      // Page was already created when setting up the context
+      log('Page already created, configuring with optimized settings...');
+      
+      // Let the page drive the recording through window.recorder
+      bridge = await installRecorderBridge(page, { waitForReady: Boolean(readiness && readiness.bridge), log, logMetrics });
+      
+      // Draw a cursor, click ripples and keystroke captions into the video
+      if (cursor) {
+        pointer = await installCursorOverlay(page, cursor, { viewport, log, logMetrics });
+      }
+      
+      // Set extra headers for better content loading, then any the request added
+      await page.setExtraHTTPHeaders({
+        'User-Agent': contextSettings.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+        'Accept-Language': contextSettings.acceptLanguage,
+        'Accept-Encoding': 'gzip, deflate, br',
+        ...contextSettings.headers
+      });
+      
+      // Enable better JS performance and add viewport information
+      await page.addInitScript(({ width, height, aspectRatio, devicePixelRatio }) => {
+        window.devicePixelRatio = devicePixelRatio; // Force high DPI rendering
         
-        // Close context - in newer Playwright versions, this might not return the video path
-        const contextVideoPath = await context.close();
+        // Make viewport dimensions and aspect ratio available to the page
+        window.recordingViewport = {
+          width: width,
+          height: height,
+          aspectRatio: aspectRatio
+        };
         
-        if (contextVideoPath && fs.existsSync(contextVideoPath)) {
-          // If Playwright returns a valid path, use it
-          recordedVideoPath = contextVideoPath;
-          log(`Context closed, returned valid video path: ${recordedVideoPath}`);
-        } else if (recordedVideoPath && fs.existsSync(recordedVideoPath)) {
-          // Otherwise use our pre-set path if it exists
-          log(`Using pre-set recording path: ${recordedVideoPath}`);
-        } else {
-          log(`No valid video path from context.close() or pre-set path`);
+        // Add a style tag to optimize for vertical/landscape content if needed
+        if (aspectRatio) {
+          const style = document.createElement('style');
+          style.textContent = `
+            :root {
+              --recording-width: ${width}px;
+              --recording-height: ${height}px;
+              --recording-aspect-ratio: ${aspectRatio};
+            }
+            
+            /* Add viewport-specific optimizations */
+            @media (max-width: 500px) {
+              body {
+                max-width: ${width}px;
+                width: 100%;
+                overflow-x: hidden;
+              }
+            }
+          `;
+          document.head.appendChild(style);
+        }
+      }, { 
+        width: viewport.width, 
+        height: viewport.height, 
+        aspectRatio: options.aspectRatio,
+        devicePixelRatio: deviceScaleFactor
+      });
+      
+      log('Page created with optimized settings');
+      
+      // The page's clock has to be replaced before any of its scripts run; it keeps real time until capture starts
+      if (capture === 'virtual-time') {
+        await page.clock.install();
+        log('Page clock installed for virtual-time capture');
+        if (actions.length > 0 || pointer) {
+          log('Note: scripted actions and the cursor run in real time, only the page clock is stepped frame by frame');
         }
-      } catch (contextError) {
-        log(`Error closing context: ${contextError.message}`);
       }
       
-      // Wait additional time for filesystem operations to complete
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    // If no valid path, search in temp directory
-    if (!recordedVideoPath || !fs.existsSync(recordedVideoPath)) {
-      log('No valid video path returned, searching temp directory for recordings...');
+      // Log the navigation time
+      const navigationStartTime = Date.now();
+      logMetrics(`PAGE_NAVIGATION_START,URL=${recordingUrl},TIME=${navigationStartTime}`);
+      reportProgress({ status: 'navigating', event: 'PAGE_NAVIGATION_START' });
+      
+      // Readiness conditions replace the networkidle wait, which never settles on pages that keep polling
+      const networkTracker = readiness && readiness.networkQuiet ? trackNetworkActivity(page) : null;
+      
+      // Navigate to URL with better settings
+      log(`Loading page with high quality settings: ${recordingUrl}`);
+      await page.goto(recordingUrl, { 
+        waitUntil: readiness ? (readiness.waitUntil || 'load') : 'networkidle',
+        timeout: 60000
+      });
+      
+      const navigationDuration = Date.now() - navigationStartTime;
+      logMetrics(`PAGE_NAVIGATION_COMPLETE,DURATION=${navigationDuration}ms,TITLE="${await page.title()}"`);
+      reportProgress({ status: 'navigating', event: 'PAGE_NAVIGATION_COMPLETE' });
+      
+      log(`Page loaded. Title: ${await page.title()}`);
+      
+      if (readiness) {
+        reportProgress({ status: 'navigating', event: 'READINESS_START' });
+        try {
+          readinessResult = await waitForReadiness(page, readiness, { log, logMetrics, tracker: networkTracker, bridge, signal });
+        } finally {
+          if (networkTracker) networkTracker.dispose();
+        }
+        throwIfCancelled();
+        reportProgress({ status: 'navigating', event: 'READINESS_COMPLETE' });
+      } else {
+        // Let the page stabilize for smoother video start
+        await waitUnlessCancelled(1000, signal);
+      }
+      
+      // For vertical videos, adjust the content to fit better (emulated devices render their real mobile layout)
+      if (options.aspectRatio === '9:16' && !emulatedDevice) {
+        await page.evaluate(async () => {
+          // Add viewport-specific adjustment for vertical videos
+          const style = document.createElement('style');
+          style.textContent = `
+            body, html {
+              width: 100%;
+              max-width: 100%;
+              overflow-x: hidden;
+            }
+            .container, .main, main, .content {
+              width: 100%;
+              max-width: 100%;
+              margin-left: 0;
+              margin-right: 0;
+              padding-left: 0;
+              padding-right: 0;
+            }
+          `;
+          document.head.appendChild(style);
+        });
+        log('Added vertical video optimizations to page');
+        logMetrics(`VERTICAL_OPTIMIZATIONS_APPLIED,ASPECT_RATIO=${options.aspectRatio}`);
+      }
+      
+      // Resolve the element to crop to once the page is ready, so its final position is used
+      if (selector) {
+        const cropOptions = options.crop || {};
+        elementCrop = await resolveElementCrop(page, selector, {
+          padding: cropOptions.padding || 0,
+          scale: cropOptions.scale || 1,
+          viewport,
+          videoSize: { width: videoWidth, height: videoHeight },
+          log,
+          logMetrics
+        });
+      }
+      
+      // Nothing happens on the page while recording unless scripted actions or scrolling were requested
+      if (actions.length === 0 && !scroll) {
+        log('Page content ready for recording - no scrolling');
+      }
+      
+      // The screencast starts with the recording window, so there's no pre-roll to trim
+      let screencast = null;
+      if (capture === 'screencast') {
+        framePipe = createFramePipe(recordingPath, { fps: videoFps, width: videoWidth, height: videoHeight, log, logMetrics });
+        screencast = await startScreencast(page, framePipe, { fps: videoFps, width: videoWidth, height: videoHeight, log, logMetrics, signal });
+      }
+      
+      // Log recording start
+      const recordingStartTime = Date.now();
+      bridge.recordingStartTime = recordingStartTime;
+      logMetrics(`RECORDING_START,TIME=${recordingStartTime},DURATION=${duration}s`);
+      reportProgress({ status: 'recording', event: 'RECORDING_START', elapsed: 0, remaining: duration });
       
+      // Report elapsed/remaining seconds while the recording window is open
+      // (virtual-time capture reports seconds of page time as it captures them)
+      const recordingTicker = capture === 'virtual-time' ? null : setInterval(() => {
+        const elapsed = Math.min(duration, Math.round((Date.now() - recordingStartTime) / 1000));
+        reportProgress({ status: 'recording', event: 'RECORDING_PROGRESS', elapsed, remaining: duration - elapsed });
+      }, 1000);
+      
+      // Scripted actions run alongside the duration wait and stop when the recording window closes
+      const actionsController = new AbortController();
+      if (pointer) {
+        await pointer.show().catch(e => log(`Could not show cursor: ${e.message}`));
+      }
+      const actionsRun = actions.length > 0
+        ? runActions(page, actions, { log, logMetrics, signal: actionsController.signal, pointer, startTime: recordingStartTime })
+        : Promise.resolve(null);
+      
+      // Auto-scroll stops itself just before the recording window closes
+      const scrollRun = scroll
+        ? runScroll(page, scroll, { log, logMetrics, timeLimit: duration * 1000 - 200 })
+        : Promise.resolve(null);
+      
+      // Wait for recording duration, or until the page calls window.recorder.done()
+      log(`Recording high quality video for ${duration} seconds...`);
+      let endedEarly = false;
       try {
-        if (!fs.existsSync(tempDir)) {
-          log(`Temp directory doesn't exist: ${tempDir}`);
-          return { error: "Temp directory not found", logFile: path.basename(logFilePath) };
+        if (capture === 'virtual-time') {
+          // Frames are taken as fast as the machine allows; the page only sees 1/fps pass between them
+          bridge.done.then(() => { endedEarly = true; });
+          framePipe = createFramePipe(recordingPath, { fps: videoFps, width: videoWidth, height: videoHeight, log, logMetrics });
+          frameCapture = await captureVirtualTime(page, framePipe, {
+            fps: videoFps,
+            duration,
+            log,
+            logMetrics,
+            shouldStop: () => endedEarly,
+            signal,
+            onSecond: (elapsed) => reportProgress({ status: 'recording', event: 'RECORDING_PROGRESS', elapsed, remaining: duration - elapsed })
+          });
+          await framePipe.finish();
+        } else {
+          await Promise.race([
+            waitUnlessCancelled(duration * 1000, signal),
+            bridge.done.then(() => { endedEarly = true; })
+          ]);
         }
         
-        // List all files in temp directory
-        const files = fs.readdirSync(tempDir);
-        log(`Found ${files.length} files in temp directory`);
-        
-        // Filter for .webm files created during this session
-        const recentVideos = files
-          .filter(file => file.endsWith('.webm') || file.endsWith('.mp4'))
-          .map(file => {
-            const fullPath = path.join(tempDir, file);
-            const stats = fs.statSync(fullPath);
-            return {
-              path: fullPath,
-              mtime: stats.mtime.getTime(),
-              size: stats.size
-            };
-          })
-          .filter(video => {
-            return video.mtime >= sessionStartTime && video.size > 1024;
-          })
-          .sort((a, b) => b.mtime - a.mtime); // Most recent first
-        
-        log(`Found ${recentVideos.length} recent video files from this session`);
+        if (screencast) {
+          frameCapture = await screencast.stop();
+          await framePipe.finish();
+        }
+      } finally {
+        clearInterval(recordingTicker);
+        actionsController.abort();
+      }
+      
+      const recordingDuration = Date.now() - recordingStartTime;
+      logMetrics(`RECORDING_COMPLETE,DURATION=${recordingDuration}ms${endedEarly ? ',ENDED_BY=page' : ''}`);
+      if (endedEarly) {
+        log(`Recording window ended early by the page after ${recordingDuration}ms`);
+      }
+      reportProgress({ status: 'recording', event: 'RECORDING_COMPLETE', elapsed: duration, remaining: 0 });
+      log('Recording duration completed');
+      
+      // Close page to finish recording
+      log('Closing page to end recording...');
+      if (page && !page.isClosed()) {
+        await page.close();
+        log('Page closed');
+      }
+      
+      if (networkStats) {
+        networkResult = logNetworkStats(networkStats, { log, logMetrics });
+      }
+      
+      if (mockRules) {
+        mockResult = logMockUsage(mockRules, { log, logMetrics });
+      }
+      
+      // Everything before RECORDING_START (navigation, readiness) and after the window is trimmed from the video.
+      // Frame capture only ever encodes the window itself.
+      const videoEndTime = Date.now();
+      const trim = frameCapture ? {
+        preRollMs: 0,
+        windowMs: frameCapture.windowMs,
+        postRollMs: 0
+      } : {
+        preRollMs: recordingStartTime - videoStartTime,
+        windowMs: recordingDuration,
+        postRollMs: videoEndTime - (recordingStartTime + recordingDuration)
+      };
+      log(`Trimming ${trim.preRollMs}ms pre-roll and ${trim.postRollMs}ms post-roll from the raw video`);
+      logMetrics(`TRIM,PRE_ROLL=${trim.preRollMs}ms,WINDOW=${trim.windowMs}ms,POST_ROLL=${trim.postRollMs}ms`);
+      
+      // Any step still running was cut short by closing the page
+      actionResults = await actionsRun;
+      scrollResult = await scrollRun;
+      
+      // Close context to ensure video is saved
+      log('Closing context to finish video recording...');
+      if (context) {
+        try {
+          // Wait before closing to ensure video data is flushed (frame capture has already finished its file)
+          if (!framePipeCapture) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+          
+          // Close context - in newer Playwright versions, this might not return the video path
+          const contextVideoPath = await context.close();
+          
+          if (contextVideoPath && fs.existsSync(contextVideoPath)) {
+            // If Playwright returns a valid path, use it
+            recordedVideoPath = contextVideoPath;
+            log(`Context closed, returned valid video path: ${recordedVideoPath}`);
+          } else if (recordedVideoPath && fs.existsSync(recordedVideoPath)) {
+            // Otherwise use our pre-set path if it exists
+            log(`Using pre-set recording path: ${recordedVideoPath}`);
+          } else {
+            log(`No valid video path from context.close() or pre-set path`);
+          }
+        } catch (contextError) {
+          log(`Error closing context: ${contextError.message}`);
+        }
         
-        // Log all found videos for debugging
-        recentVideos.forEach((video, index) => {
-          log(`Video #${index + 1}: ${video.path}, modified: ${new Date(video.mtime).toISOString()}, size: ${video.size} bytes`);
-        });
+        if (har && har.record) {
+          harResult = finalizeHar(harPath, { redact, log, logMetrics });
+        }
         
-        // Use the most recent video if available
-        if (recentVideos.length > 0) {
-          recordedVideoPath = recentVideos[0].path;
-          log(`Using most recent video: ${recordedVideoPath}, size: ${recentVideos[0].size} bytes`);
-          logMetrics(`VIDEO_FOUND,PATH=${recordedVideoPath},SIZE=${recentVideos[0].size}`);
-        } else {
-          log(`No recent videos found in temp directory`);
-          logMetrics(`ERROR,NO_VIDEOS_FOUND,TEMP_DIR=${tempDir}`);
+        // Wait additional time for filesystem operations to complete
+        if (!framePipeCapture) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
         }
-      } catch (searchError) {
-        log(`Error searching for videos: ${searchError.message}`);
-        logMetrics(`ERROR,SEARCH_FAILED,MESSAGE=${searchError.message}`);
       }
-    }
-    
-    // Handle the recording file and enhance quality
-    if (recordedVideoPath && fs.existsSync(recordedVideoPath)) {
-      const fileSize = fs.statSync(recordedVideoPath).size;
-      log(`Raw video found, size: ${fileSize} bytes`);
       
-      // Copy to the raw video location first
-      log(`Copying raw video to: ${rawVideoPath}`);
-      fs.copyFileSync(recordedVideoPath, rawVideoPath);
+      // If no valid path, search in temp directory (only Playwright's recordVideo can lose track of its file)
+      if (!framePipeCapture && (!recordedVideoPath || !fs.existsSync(recordedVideoPath))) {
+        log('No valid video path returned, searching temp directory for recordings...');
+        
+        try {
+          if (!fs.existsSync(sessionTempDir)) {
+            log(`Temp directory doesn't exist: ${sessionTempDir}`);
+            return { error: "Temp directory not found", transientError: 'EMPTY_VIDEO', logFile: path.basename(logFilePath), metricsFile: path.basename(metricsFilePath) };
+          }
+          
+          // List all files in the session temp directory
+          const files = fs.readdirSync(sessionTempDir);
+          log(`Found ${files.length} files in temp directory`);
+          
+          // Filter for .webm files created during this session
+          const recentVideos = files
+            .filter(file => file.endsWith('.webm') || file.endsWith('.mp4'))
+            .map(file => {
+              const fullPath = path.join(sessionTempDir, file);
+              const stats = fs.statSync(fullPath);
+              return {
+                path: fullPath,
+                mtime: stats.mtime.getTime(),
+                size: stats.size
+              };
+            })
+            .filter(video => {
+              return video.mtime >= sessionStartTime && video.size > 1024;
+            })
+            .sort((a, b) => b.mtime - a.mtime); // Most recent first
+          
+          log(`Found ${recentVideos.length} recent video files from this session`);
+          
+          // Log all found videos for debugging
+          recentVideos.forEach((video, index) => {
+            log(`Video #${index + 1}: ${video.path}, modified: ${new Date(video.mtime).toISOString()}, size: ${video.size} bytes`);
+          });
+          
+          // Use the most recent video if available
+          if (recentVideos.length > 0) {
+            recordedVideoPath = recentVideos[0].path;
+            log(`Using most recent video: ${recordedVideoPath}, size: ${recentVideos[0].size} bytes`);
+            logMetrics(`VIDEO_FOUND,PATH=${recordedVideoPath},SIZE=${recentVideos[0].size}`);
+          } else {
+            log(`No recent videos found in temp directory`);
+            logMetrics(`ERROR,NO_VIDEOS_FOUND,TEMP_DIR=${sessionTempDir}`);
+          }
+        } catch (searchError) {
+          log(`Error searching for videos: ${searchError.message}`);
+          logMetrics(`ERROR,SEARCH_FAILED,MESSAGE=${searchError.message}`);
+        }
+      }
       
-      // Enhance the video quality with ffmpeg
-      log('Enhancing video quality with ffmpeg...');
-      logMetrics(`ENHANCEMENT_START,TIME=${Date.now()},RAW_SIZE=${fileSize}`);
+      // What a finished attempt reports, however the final video was produced.
+      // A video that couldn't be enhanced keeps the size it was captured at.
+      const buildResult = ({ enhanced, enhanceError }) => ({
+        fileName: path.basename(finalVideoPath),
+        logFile: path.basename(logFilePath),
+        metricsFile: path.basename(metricsFilePath),
+        enhanced,
+        ...(enhanceError ? { enhanceError } : {}),
+        width: elementCrop ? elementCrop.outputWidth : (enhanced ? outputWidth : videoWidth),
+        height: elementCrop ? elementCrop.outputHeight : (enhanced ? outputHeight : videoHeight),
+        fps: videoFps,
+        duration: duration,
+        quality: quality,
+        platform: platform,
+        aspectRatio: options.aspectRatio,
+        actions: actionResults,
+        scroll: scrollResult,
+        readiness: readinessResult,
+        trim: { ...trim, applied: enhanced },
+        bridge: summarizeBridge(bridge, { endedEarly }),
+        crop: elementCrop,
+        cursor: pointer ? pointer.settings : null,
+        context: describeContextOptions(contextSettings),
+        device: emulatedDevice ? describeDevice(emulatedDevice) : null,
+        network: networkResult,
+        har: harResult,
+        mocks: mockResult,
+        capture,
+        size: fs.existsSync(finalVideoPath) ? fs.statSync(finalVideoPath).size : 0
+      });
       
-      try {
-        // Enhance the video quality, passing options for aspect ratio
-        await enhanceVideoQuality(rawVideoPath, finalVideoPath, log, {
-          width: videoWidth,
-          height: videoHeight,
-          aspectRatio: options.aspectRatio,
-          duration: duration
+      // Handle the recording file and enhance quality
+      if (recordedVideoPath && fs.existsSync(recordedVideoPath)) {
+        const fileSize = fs.statSync(recordedVideoPath).size;
+        log(`Raw video found, size: ${fileSize} bytes`);
+        
+        // Copy to the raw video location first
+        if (recordedVideoPath !== rawVideoPath) {
+          log(`Copying raw video to: ${rawVideoPath}`);
+          fs.copyFileSync(recordedVideoPath, rawVideoPath);
+        }
+        
+        // Wait for a free encode slot so ffmpeg runs are capped across all workers
+        const encodeWaitStart = Date.now();
+        let loggedEncodeWait = false;
+        const releaseEncodeSlot = await waitForSlot('encode', MAX_CONCURRENT_ENCODES, `session-${sessionId}`, {
+          signal,
+          onWait: () => {
+            if (!loggedEncodeWait) {
+              log(`All ${MAX_CONCURRENT_ENCODES} encode slots busy, waiting...`);
+              loggedEncodeWait = true;
+            }
+          }
         });
+        throwIfCancelled();
+        logMetrics(`ENCODE_SLOT_ACQUIRED,WAIT=${Date.now() - encodeWaitStart}ms`);
         
-        if (fs.existsSync(finalVideoPath)) {
-          const enhancedSize = fs.statSync(finalVideoPath).size;
-          log(`Enhanced video created successfully: ${finalVideoPath}, size: ${enhancedSize} bytes`);
-          logMetrics(`ENHANCEMENT_COMPLETE,ENHANCED_SIZE=${enhancedSize},COMPRESSION_RATIO=${(enhancedSize/fileSize).toFixed(2)}`);
-          
-          // Set proper permissions
-          fs.chmodSync(finalVideoPath, 0o644);
-          
-          // Return the enhanced video path
-          return { 
-            fileName: path.basename(finalVideoPath),
-            logFile: path.basename(logFilePath),
-            metricsFile: path.basename(metricsFilePath),
-            enhanced: true,
+        // Enhance the video quality with ffmpeg
+        log('Enhancing video quality with ffmpeg...');
+        logMetrics(`ENHANCEMENT_START,TIME=${Date.now()},RAW_SIZE=${fileSize}`);
+        reportProgress({ status: 'encoding', event: 'ENHANCEMENT_START', percent: 0 });
+        
+        try {
+          // Enhance the video quality, passing options for aspect ratio
+          await enhanceVideoQuality(rawVideoPath, finalVideoPath, log, {
             width: videoWidth,
             height: videoHeight,
-            fps: videoFps,
-            duration: duration,
-            quality: quality,
-            platform: platform,
             aspectRatio: options.aspectRatio,
-            size: enhancedSize
-          };
-        } else {
-          log('Failed to create enhanced video, falling back to original');
-          logMetrics(`ENHANCEMENT_FAILED,REASON=NO_OUTPUT_FILE`);
+            duration: endedEarly ? trim.windowMs / 1000 : duration,
+            startOffset: trim.preRollMs / 1000,
+            crop: elementCrop,
+            pad: !elementCrop && (outputWidth !== videoWidth || outputHeight !== videoHeight) ? { width: outputWidth, height: outputHeight } : null,
+            signal,
+            onProgress: (percent) => reportProgress({ status: 'encoding', event: 'ENCODING_PROGRESS', percent })
+          });
+          
+          if (fs.existsSync(finalVideoPath)) {
+            const enhancedSize = fs.statSync(finalVideoPath).size;
+            log(`Enhanced video created successfully: ${finalVideoPath}, size: ${enhancedSize} bytes`);
+            logMetrics(`ENHANCEMENT_COMPLETE,ENHANCED_SIZE=${enhancedSize},COMPRESSION_RATIO=${(enhancedSize/fileSize).toFixed(2)}`);
+            reportProgress({ status: 'encoding', event: 'ENHANCEMENT_COMPLETE', percent: 100 });
+            
+            // Set proper permissions
+            fs.chmodSync(finalVideoPath, 0o644);
+            
+            return buildResult({ enhanced: true });
+          } else {
+            log('Failed to create enhanced video, falling back to original');
+            logMetrics(`ENHANCEMENT_FAILED,REASON=NO_OUTPUT_FILE`);
+            
+            // Copy the original as fallback
+            fs.copyFileSync(rawVideoPath, finalVideoPath);
+            
+            return buildResult({ enhanced: false });
+          }
+        } catch (enhanceError) {
+          // Cancellation is handled by the outer catch, not by falling back to the raw video
+          if (enhanceError.cancelled) throw enhanceError;
+          
+          log(`Error enhancing video: ${enhanceError.message}`);
+          logMetrics(`ENHANCEMENT_ERROR,MESSAGE=${enhanceError.message}`);
           
           // Copy the original as fallback
           fs.copyFileSync(rawVideoPath, finalVideoPath);
           
-          return { 
-            fileName: path.basename(finalVideoPath),
-            logFile: path.basename(logFilePath),
-            metricsFile: path.basename(metricsFilePath),
-            enhanced: false,
-            width: videoWidth,
-            height: videoHeight,
-            fps: videoFps,
-            duration: duration,
-            quality: quality,
-            platform: platform,
-            aspectRatio: options.aspectRatio,
-            size: fs.existsSync(finalVideoPath) ? fs.statSync(finalVideoPath).size : 0
-          };
+          return buildResult({ enhanced: false, enhanceError: enhanceError.message });
+        } finally {
+          releaseEncodeSlot();
         }
-      } catch (enhanceError) {
-        log(`Error enhancing video: ${enhanceError.message}`);
-        logMetrics(`ENHANCEMENT_ERROR,MESSAGE=${enhanceError.message}`);
+      } else {
+        log(`No video recording found at: ${recordedVideoPath}`);
+        logMetrics(`ERROR,NO_VIDEO_RECORDING_FOUND,PATH=${recordedVideoPath}`);
+      }
+      
+      // If video recording failed, return error
+      log(`Video recording failed`);
+      logMetrics(`RECORDING_FAILED,SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
+      return { 
+        error: "Failed to create video recording",
+        transientError: 'EMPTY_VIDEO',
+        logFile: path.basename(logFilePath),
+        metricsFile: path.basename(metricsFilePath)
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        log(`Recording session ${sessionId} cancelled during ${currentPhase} phase`);
+        logMetrics(`CANCELLED,PHASE=${currentPhase},SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
         
-        // Copy the original as fallback
-        fs.copyFileSync(rawVideoPath, finalVideoPath);
+        // Don't leave a half-encoded video behind in uploads
+        if (fs.existsSync(finalVideoPath)) {
+          try {
+            fs.unlinkSync(finalVideoPath);
+            log(`Removed partial output: ${finalVideoPath}`);
+          } catch (unlinkError) {
+            log(`Warning: Failed to remove partial output: ${unlinkError.message}`);
+          }
+        }
         
-        return { 
-          fileName: path.basename(finalVideoPath),
+        return {
+          error: 'Recording cancelled',
+          cancelled: true,
           logFile: path.basename(logFilePath),
-          metricsFile: path.basename(metricsFilePath),
-          enhanced: false,
-          enhanceError: enhanceError.message,
-          width: videoWidth,
-          height: videoHeight,
-          fps: videoFps,
-          duration: duration,
-          quality: quality,
-          platform: platform,
-          aspectRatio: options.aspectRatio,
-          size: fs.existsSync(finalVideoPath) ? fs.statSync(finalVideoPath).size : 0
+          metricsFile: path.basename(metricsFilePath)
         };
       }
-    } else {
-      log(`No video recording found at: ${recordedVideoPath}`);
-      logMetrics(`ERROR,NO_VIDEO_RECORDING_FOUND,PATH=${recordedVideoPath}`);
-    }
-    
-    // If video recording failed, return error
-    log(`Video recording failed`);
-    logMetrics(`RECORDING_FAILED,SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
-    return { 
-      error: "Failed to create video recording",
-      logFile: path.basename(logFilePath),
-      metricsFile: path.basename(metricsFilePath)
-    };
-  } catch (error) {
-    log(`Recording error: ${error.message}`);
-    log(`Error stack: ${error.stack}`);
-    logMetrics(`FATAL_ERROR,MESSAGE=${error.message},SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
-    
-    return { 
-      error: error.message,
-      logFile: path.basename(logFilePath),
-      metricsFile: path.basename(metricsFilePath)
-    };
-  } finally {
-    // Log final memory usage
-    const finalMemUsage = process.memoryUsage();
-    logMetrics(`FINAL_MEMORY_USAGE,RSS=${Math.round(finalMemUsage.rss / 1024 / 1024)}MB,HEAP_TOTAL=${Math.round(finalMemUsage.heapTotal / 1024 / 1024)}MB,HEAP_USED=${Math.round(finalMemUsage.heapUsed / 1024 / 1024)}MB`);
-    
-    // Clean up resources in order
-    try {
-      // Context is usually already closed in the normal flow
-      if (context) {
-        try {
-          await context.close().catch(e => log(`Context close error: ${e.message}`));
-          log('Context closed in finally block');
-          logMetrics(`CONTEXT_CLOSED_IN_CLEANUP`);
-        } catch (contextError) {
-          log(`Error closing context: ${contextError.message}`);
-          logMetrics(`CONTEXT_CLOSE_ERROR,MESSAGE=${contextError.message}`);
-        }
-      }
       
-      // Always close browser last
-      if (browser) {
-        await browser.close().catch(e => log(`Browser close error: ${e.message}`));
-        log('Browser closed');
-        logMetrics(`BROWSER_CLOSED`);
-      }
+      log(`Recording error: ${error.message}`);
+      log(`Error stack: ${error.stack}`);
+      logMetrics(`FATAL_ERROR,MESSAGE=${error.message},SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
+      
+      return { 
+        error: redact(error.message),
+        transientError: classifyTransientError(error, { launching: !browser }),
+        logFile: path.basename(logFilePath),
+        metricsFile: path.basename(metricsFilePath)
+      };
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
       
-      // Cleanup temporary raw video if it exists
-      if (fs.existsSync(rawVideoPath)) {
+      // Log final memory usage
+      const finalMemUsage = process.memoryUsage();
+      logMetrics(`FINAL_MEMORY_USAGE,RSS=${Math.round(finalMemUsage.rss / 1024 / 1024)}MB,HEAP_TOTAL=${Math.round(finalMemUsage.heapTotal / 1024 / 1024)}MB,HEAP_USED=${Math.round(finalMemUsage.heapUsed / 1024 / 1024)}MB`);
+      
+      // Clean up resources in order
+      try {
+        // A frame encoder that's still running belongs to a failed or cancelled attempt
+        if (framePipe) {
+          framePipe.abort();
+        }
+        
+        // Context is usually already closed in the normal flow
+        if (context) {
+          try {
+            await context.close().catch(e => log(`Context close error: ${e.message}`));
+            log('Context closed in finally block');
+            logMetrics(`CONTEXT_CLOSED_IN_CLEANUP`);
+            
+            // A failed attempt still leaves its HAR behind, which must not keep credentials
+            if (har && har.record && !harResult && fs.existsSync(harPath)) {
+              finalizeHar(harPath, { redact, log, logMetrics });
+            }
+          } catch (contextError) {
+            log(`Error closing context: ${contextError.message}`);
+            logMetrics(`CONTEXT_CLOSE_ERROR,MESSAGE=${contextError.message}`);
+          }
+        }
+        
+        // Always close browser last
+        if (browser) {
+          await browser.close().catch(e => log(`Browser close error: ${e.message}`));
+          log('Browser closed');
+          logMetrics(`BROWSER_CLOSED`);
+        }
+        
+        // Cleanup temporary raw video if it exists
+        if (fs.existsSync(rawVideoPath)) {
+          try {
+            fs.unlinkSync(rawVideoPath);
+            log(`Temporary raw video deleted: ${rawVideoPath}`);
+            logMetrics(`TEMP_RAW_VIDEO_DELETED,PATH=${rawVideoPath}`);
+          } catch (unlinkError) {
+            log(`Warning: Failed to delete temporary raw video: ${unlinkError.message}`);
+            logMetrics(`TEMP_VIDEO_DELETE_ERROR,MESSAGE=${unlinkError.message}`);
+          }
+        }
+        
+        // Cleanup this session's temporary files only
         try {
-          fs.unlinkSync(rawVideoPath);
-          log(`Temporary raw video deleted: ${rawVideoPath}`);
-          logMetrics(`TEMP_RAW_VIDEO_DELETED,PATH=${rawVideoPath}`);
-        } catch (unlinkError) {
-          log(`Warning: Failed to delete temporary raw video: ${unlinkError.message}`);
-          logMetrics(`TEMP_VIDEO_DELETE_ERROR,MESSAGE=${unlinkError.message}`);
+          if (fs.existsSync(sessionTempDir)) {
+            const tempFiles = fs.readdirSync(sessionTempDir);
+            log(`Cleaning up ${tempFiles.length} temporary files from ${sessionTempDir}`);
+            logMetrics(`TEMP_CLEANUP_START,FILE_COUNT=${tempFiles.length}`);
+            
+            fs.rmSync(sessionTempDir, { recursive: true, force: true });
+            
+            log(`Removed session temp directory ${sessionTempDir}`);
+            logMetrics(`TEMP_CLEANUP_COMPLETE,DELETED=${tempFiles.length},TOTAL=${tempFiles.length}`);
+          }
+        } catch (cleanupError) {
+          log(`Error cleaning up temp directory: ${cleanupError.message}`);
+          logMetrics(`TEMP_DIR_CLEANUP_ERROR,MESSAGE=${cleanupError.message}`);
         }
+      } catch (finallyError) {
+        log(`Error in cleanup: ${finallyError.message}`);
+        logMetrics(`CLEANUP_ERROR,MESSAGE=${finallyError.message}`);
       }
       
-      // Cleanup all temporary video files in temp directory
-      try {
-        if (fs.existsSync(tempDir)) {
-          const tempFiles = fs.readdirSync(tempDir)
-            .filter(file => file.endsWith('.webm') || file.endsWith('.mp4'))
-            .map(file => path.join(tempDir, file));
-          
-          // Log number of temp files to be deleted
-          log(`Cleaning up ${tempFiles.length} temporary video files from ${tempDir}`);
-          logMetrics(`TEMP_CLEANUP_START,FILE_COUNT=${tempFiles.length}`);
+      // Clean up RAM disk completely if we're using one and no other session is still working in it
+      const otherSessionsActive = countActiveSlots('browser') > 1 || countActiveSlots('encode') > 0;
+      if (otherSessionsActive) {
+        log(`Other recording sessions are active, skipping full RAM disk cleanup`);
+      } else if (os.platform() === 'darwin' && tempDir === macOSRamDisk) {
+        // Give a short delay to ensure any pending file operations are complete
+        await new Promise(resolve => setTimeout(resolve, 500));
+        
+        // Perform deep cleanup of RAM disk
+        const ramDiskCleaned = cleanupMacOSRamDisk(log);
+        if (ramDiskCleaned) {
+          log(`RAM disk completely cleaned up at ${tempDir}`);
+          logMetrics(`RAM_DISK_CLEANUP_COMPLETE,PATH=${tempDir}`);
+        } else {
+          log(`RAM disk cleanup skipped or failed`);
+          logMetrics(`RAM_DISK_CLEANUP_SKIPPED,PATH=${tempDir}`);
+        }
+      } else if (isUbuntu() && tempDir === ubuntuRamDisk) {
+        // Give a short delay to ensure any pending file operations are complete
+        await new Promise(resolve => setTimeout(resolve, 500));
+        
+        // Perform deep cleanup of Ubuntu RAM disk
+        const ramDiskCleaned = cleanupUbuntuRamDisk(log);
+        if (ramDiskCleaned) {
+          log(`Ubuntu RAM disk completely cleaned up at ${tempDir}`);
+          logMetrics(`UBUNTU_RAM_DISK_CLEANUP_COMPLETE,PATH=${tempDir}`);
           
-          // Delete each temporary file
-          let deletedCount = 0;
-          for (const file of tempFiles) {
-            try {
-              fs.unlinkSync(file);
-              deletedCount++;
-            } catch (fileError) {
-              log(`Failed to delete temporary file: ${file}, error: ${fileError.message}`);
-              logMetrics(`TEMP_FILE_DELETE_ERROR,FILE=${file},MESSAGE=${fileError.message}`);
+          // Check if we should unmount the RAM disk
+          // Only unmount if this is the last process using it
+          try {
+            const processesUsingRamDisk = parseInt(
+              execSync(`lsof ${tempDir} | wc -l`).toString().trim()
+            );
+            
+            if (processesUsingRamDisk <= 1) {
+              log(`No other processes using RAM disk, attempting to unmount...`);
+              const unmounted = unmountUbuntuRamDisk(log);
+              if (unmounted) {
+                logMetrics(`UBUNTU_RAM_DISK_UNMOUNTED,PATH=${tempDir}`);
+              }
+            } else {
+              log(`${processesUsingRamDisk} processes still using RAM disk, skipping unmount`);
+              logMetrics(`UBUNTU_RAM_DISK_BUSY,PROCESSES=${processesUsingRamDisk}`);
             }
+          } catch (processCheckError) {
+            log(`Error checking processes using RAM disk: ${processCheckError.message}`);
           }
-          
-          log(`Successfully deleted ${deletedCount} of ${tempFiles.length} temporary video files`);
-          logMetrics(`TEMP_CLEANUP_COMPLETE,DELETED=${deletedCount},TOTAL=${tempFiles.length}`);
+        } else {
+          log(`Ubuntu RAM disk cleanup skipped or failed`);
+          logMetrics(`UBUNTU_RAM_DISK_CLEANUP_SKIPPED,PATH=${tempDir}`);
         }
-      } catch (cleanupError) {
-        log(`Error cleaning up temp directory: ${cleanupError.message}`);
-        logMetrics(`TEMP_DIR_CLEANUP_ERROR,MESSAGE=${cleanupError.message}`);
       }
-    } catch (finallyError) {
-      log(`Error in cleanup: ${finallyError.message}`);
-      logMetrics(`CLEANUP_ERROR,MESSAGE=${finallyError.message}`);
     }
+  };
+  
+  const attempts = [];
+  let result;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const attemptStartTime = Date.now();
+    result = await runAttempt(attempt);
+    attempts.push({
+      attempt,
+      startedAt: new Date(attemptStartTime).toISOString(),
+      durationMs: Date.now() - attemptStartTime,
+      success: !result.error,
+      error: result.error || null,
+      transientError: result.transientError || null
+    });
     
-    log(`Recording session ${sessionId} complete`);
-    logMetrics(`SESSION_COMPLETE,DURATION=${Date.now() - sessionStartTime}ms`);
+    if (!result.error || result.cancelled) break;
     
-    // Clean up RAM disk completely if we're using one
-    if (os.platform() === 'darwin' && tempDir === macOSRamDisk) {
-      // Give a short delay to ensure any pending file operations are complete
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Perform deep cleanup of RAM disk
-      const ramDiskCleaned = cleanupMacOSRamDisk(log);
-      if (ramDiskCleaned) {
-        log(`RAM disk completely cleaned up at ${tempDir}`);
-        logMetrics(`RAM_DISK_CLEANUP_COMPLETE,PATH=${tempDir}`);
-      } else {
-        log(`RAM disk cleanup skipped or failed`);
-        logMetrics(`RAM_DISK_CLEANUP_SKIPPED,PATH=${tempDir}`);
-      }
-    } else if (isUbuntu() && tempDir === ubuntuRamDisk) {
-      // Give a short delay to ensure any pending file operations are complete
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Perform deep cleanup of Ubuntu RAM disk
-      const ramDiskCleaned = cleanupUbuntuRamDisk(log);
-      if (ramDiskCleaned) {
-        log(`Ubuntu RAM disk completely cleaned up at ${tempDir}`);
-        logMetrics(`UBUNTU_RAM_DISK_CLEANUP_COMPLETE,PATH=${tempDir}`);
-        
-        // Check if we should unmount the RAM disk
-        // Only unmount if this is the last process using it
-        try {
-          const processesUsingRamDisk = parseInt(
-            execSync(`lsof ${tempDir} | wc -l`).toString().trim()
-          );
-          
-          if (processesUsingRamDisk <= 1) {
-            log(`No other processes using RAM disk, attempting to unmount...`);
-            const unmounted = unmountUbuntuRamDisk(log);
-            if (unmounted) {
-              logMetrics(`UBUNTU_RAM_DISK_UNMOUNTED,PATH=${tempDir}`);
-            }
-          } else {
-            log(`${processesUsingRamDisk} processes still using RAM disk, skipping unmount`);
-            logMetrics(`UBUNTU_RAM_DISK_BUSY,PROCESSES=${processesUsingRamDisk}`);
-          }
-        } catch (processCheckError) {
-          log(`Error checking processes using RAM disk: ${processCheckError.message}`);
-        }
-      } else {
-        log(`Ubuntu RAM disk cleanup skipped or failed`);
-        logMetrics(`UBUNTU_RAM_DISK_CLEANUP_SKIPPED,PATH=${tempDir}`);
+    if (!result.transientError) {
+      if (maxRetries > 0) log(`Attempt ${attempt} failed with a permanent error, not retrying`);
+      break;
+    }
+    if (attempt === maxAttempts) {
+      if (maxRetries > 0) {
+        log(`Giving up after ${attempt} attempts`);
+        logMetrics(`RETRIES_EXHAUSTED,ATTEMPTS=${attempt},LAST_ERROR=${result.transientError}`);
       }
+      break;
+    }
+    
+    const delay = retryDelay * Math.pow(2, attempt - 1);
+    log(`Attempt ${attempt} failed with transient error ${result.transientError}: ${result.error}. Retrying in ${delay}ms...`);
+    logMetrics(`RETRY_SCHEDULED,ATTEMPT=${attempt},REASON=${result.transientError},DELAY=${delay}ms`);
+    reportProgress({ status: 'launching', event: 'RETRY_SCHEDULED', attempt, reason: result.transientError, delay });
+    
+    try {
+      await waitUnlessCancelled(delay, signal);
+    } catch (cancelError) {
+      log(`Recording session ${sessionId} cancelled while waiting to retry`);
+      logMetrics(`CANCELLED,PHASE=retry_wait,SESSION_DURATION=${Date.now() - sessionStartTime}ms`);
+      result = {
+        error: 'Recording cancelled',
+        cancelled: true,
+        logFile: path.basename(logFilePath),
+        metricsFile: path.basename(metricsFilePath)
+      };
+      break;
     }
   }
+  
+  log(`Recording session ${sessionId} complete`);
+  logMetrics(`SESSION_COMPLETE,DURATION=${Date.now() - sessionStartTime}ms,ATTEMPTS=${attempts.length}`);
+  
+  const { transientError, ...finalResult } = result;
+  return { ...finalResult, attempts };
 }
 
 // Get the most recent log file
@@ -1213,7 +1773,7 @@ async function recordMultiplePlatforms(url, platforms = [], options = {}) {
   }
 
   const sessionId = uuidv4().substr(0, 8);
-  const { log, logMetrics, logFilePath } = createSessionLogger(sessionId);
+  const { log, logMetrics, logFilePath } = createSessionLogger(sessionId, { redact: createRedactor(options.auth, options.context && options.context.headers) });
   
   log(`Starting multi-platform recording session ${sessionId} for ${platforms.length} platforms`);
   log(`URL: ${url}, Platforms: ${platforms.join(', ')}`);
@@ -1231,6 +1791,17 @@ async function recordMultiplePlatforms(url, platforms = [], options = {}) {
   try {
     // Process each platform one at a time
     for (const platform of platforms) {
+      if (options.signal && options.signal.aborted) {
+        log(`Multi-platform session cancelled, skipping remaining platforms`);
+        logMetrics(`CANCELLED,COMPLETED_PLATFORMS=${results.length}`);
+        return {
+          sessionId,
+          error: 'Recording cancelled',
+          cancelled: true,
+          logFile: path.basename(logFilePath)
+        };
+      }
+      
       const platformOptions = { 
         ...options, 
         platform 
@@ -1255,37 +1826,23 @@ async function recordMultiplePlatforms(url, platforms = [], options = {}) {
     
     // Format the results
     const formattedResults = results.map(({ platform, result, error }) => {
-      if (error) {
+      if (error || result.error) {
         return {
           platform,
           success: false,
-          error
+          error: error || result.error,
+          logFile: result ? result.logFile : undefined
         };
       }
       
-      const formattedResult = {
+      // The child's own platform name is replaced by the one that was requested
+      const { platform: recordedPlatform, ...details } = result;
+      return {
         platform,
         success: true,
-        fileName: result.fileName,
-        logFile: result.logFile,
-        metricsFile: result.metricsFile,
-        enhanced: result.enhanced,
-        width: result.width,
-        height: result.height,
-        fps: result.fps,
-        duration: result.duration,
-        quality: result.quality,
-        aspectRatio: result.aspectRatio,
-        size: result.size,
+        ...details,
         multiPlatformSessionId: sessionId // Add parent session ID for grouping
       };
-      
-      // Add enhanceError if present
-      if (result.enhanceError) {
-        formattedResult.enhanceError = result.enhanceError;
-      }
-      
-      return formattedResult;
     });
     
     return {
@@ -1305,4 +1862,104 @@ async function recordMultiplePlatforms(url, platforms = [], options = {}) {
   }
 }
 
-module.exports = { recordWebsite, getLatestLogFile, recordWithPlatformSettings, recordMultiplePlatforms };
\ No newline at end of file
+// Record the same page once per locale, one after another, grouped under a parent session.
+// Each entry sets the context's locale (and Accept-Language) and optionally its timezone;
+// {locale} and {language} in the URL are filled in per locale.
+async function recordMultipleLocales(url, locales = [], options = {}) {
+  if (!Array.isArray(locales) || locales.length === 0) {
+    throw new Error('At least one locale must be specified');
+  }
+
+  const entries = locales.map(normalizeLocaleEntry);
+  const sessionId = uuidv4().substr(0, 8);
+  const { log, logMetrics, logFilePath } = createSessionLogger(sessionId, { redact: createRedactor(options.auth, options.context && options.context.headers) });
+  
+  log(`Starting multi-locale recording session ${sessionId} for ${entries.length} locales`);
+  log(`URL: ${url}, Locales: ${entries.map(entry => entry.locale).join(', ')}`);
+  log(`MULTI_LOCALE_PARENT_SESSION,ID=${sessionId},LOCALES=${entries.map(entry => entry.locale).join(',')}`);
+  logMetrics(`MULTI_LOCALE_SESSION_START,ID=${sessionId},URL=${url},LOCALE_COUNT=${entries.length}`);
+  
+  const results = [];
+  
+  try {
+    for (const entry of entries) {
+      if (options.signal && options.signal.aborted) {
+        log(`Multi-locale session cancelled, skipping remaining locales`);
+        logMetrics(`CANCELLED,COMPLETED_LOCALES=${results.length}`);
+        return {
+          sessionId,
+          error: 'Recording cancelled',
+          cancelled: true,
+          logFile: path.basename(logFilePath)
+        };
+      }
+      
+      const localeUrl = entry.url || localizeUrl(url, entry.locale);
+      const timezoneId = entry.timezoneId || (options.context && options.context.timezoneId) || null;
+      const localeOptions = {
+        ...options,
+        context: {
+          ...options.context,
+          locale: entry.locale,
+          ...(timezoneId ? { timezoneId } : {})
+        }
+      };
+      
+      log(`Starting recording for locale: ${entry.locale}${timezoneId ? ` (${timezoneId})` : ''} at ${localeUrl}`);
+      try {
+        const result = await recordWithPlatformSettings(localeUrl, localeOptions);
+        log(`Completed recording for locale: ${entry.locale}, result: ${result.fileName || 'error'}`);
+        results.push({ entry, url: localeUrl, timezoneId, result });
+      } catch (error) {
+        log(`Error recording for locale ${entry.locale}: ${error.message}`);
+        results.push({ entry, url: localeUrl, timezoneId, error: error.message });
+      }
+      
+      // Add a small pause between recordings to let system resources stabilize
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    
+    const failed = results.filter(({ result, error }) => error || result.error).length;
+    log(`All ${entries.length} locale recordings completed sequentially, ${failed} failed`);
+    logMetrics(`MULTI_LOCALE_SESSION_COMPLETE,LOCALE_COUNT=${entries.length},FAILED=${failed}`);
+    
+    const formattedResults = results.map(({ entry, url: localeUrl, timezoneId, result, error }) => {
+      if (error || result.error) {
+        return {
+          locale: entry.locale,
+          timezoneId,
+          pageUrl: localeUrl,
+          success: false,
+          error: error || result.error,
+          logFile: result ? result.logFile : undefined
+        };
+      }
+      
+      return {
+        locale: entry.locale,
+        timezoneId,
+        pageUrl: localeUrl,
+        success: true,
+        ...result,
+        multiLocaleSessionId: sessionId // Parent session ID for grouping
+      };
+    });
+    
+    return {
+      sessionId,
+      locales: formattedResults,
+      logFile: path.basename(logFilePath)
+    };
+  } catch (error) {
+    log(`Error in multi-locale recording: ${error.message}`);
+    logMetrics(`MULTI_LOCALE_SESSION_ERROR,MESSAGE=${error.message}`);
+    
+    return {
+      sessionId,
+      error: error.message,
+      logFile: path.basename(logFilePath)
+    };
+  }
+}
+
+module.exports = { MAX_RETRIES, classifyTransientError, validatePlatform, validateResolution, validateQuality, recordWebsite, getLatestLogFile, recordWithPlatformSettings, recordMultiplePlatforms, recordMultipleLocales };
\ No newline at end of file
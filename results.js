@@ -0,0 +1,236 @@
+const path = require('path');
+const fs = require('fs');
+
+// Directories the recorder writes its output to
+const uploadsDir = path.join(__dirname, 'uploads');
+const logsDir = path.join(__dirname, 'logs');
+const metricsDir = path.join(__dirname, 'logs', 'metrics');
+
+// Get the size of a file, or 0 if it doesn't exist
+function fileSizeOf(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
+// Build the API payload for a finished recording.
+// Returns the HTTP status code alongside the body so the record route and
+// the job endpoints report a recording in exactly the same way.
+function buildRecordingPayload(request, result, baseUrl) {
+  const { url, duration, platform, platforms, locales, quality } = request;
+
+  // Multi-locale recordings are grouped under their parent session
+  if (locales && Array.isArray(locales) && locales.length > 0) {
+    if (result.error) {
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: result.error,
+          recordings: [],
+          logFile: result.logFile,
+          logUrl: `/api/logs/${result.logFile}`
+        }
+      };
+    }
+
+    // Enhance the locale results with URLs
+    const enhancedResults = result.locales.map(locale => {
+      if (!locale.success) {
+        return locale.logFile ? { ...locale, logUrl: `/api/logs/${locale.logFile}` } : locale;
+      }
+
+      const fileType = locale.fileName.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
+
+      return {
+        ...locale,
+        url: `/uploads/${locale.fileName}`,
+        absoluteUrl: `${baseUrl}/uploads/${locale.fileName}`,
+        logUrl: `/api/logs/${locale.logFile}`,
+        metricsUrl: `/api/metrics/${locale.metricsFile}`,
+        fileType
+      };
+    });
+
+    // Partial failures still return the recordings that worked
+    const failedCount = enhancedResults.filter(locale => !locale.success).length;
+    return {
+      statusCode: failedCount === enhancedResults.length ? 500 : 200,
+      body: {
+        success: failedCount < enhancedResults.length,
+        recordings: [{
+          sessionId: result.sessionId,
+          timestamp: new Date().toISOString(),
+          url: url,
+          isMultiLocale: true,
+          localeCount: enhancedResults.length,
+          failedCount,
+          duration: duration || 10,
+          locales: enhancedResults,
+          parentLog: {
+            filename: result.logFile,
+            url: `/api/logs/${result.logFile}`,
+            size: fileSizeOf(path.join(logsDir, result.logFile)),
+            created: new Date().toISOString()
+          }
+        }]
+      }
+    };
+  }
+
+  // Multi-platform recordings are grouped under their parent session
+  if (platforms && Array.isArray(platforms) && platforms.length > 0) {
+    if (result.error) {
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: result.error,
+          recordings: [],
+          logFile: result.logFile,
+          logUrl: `/api/logs/${result.logFile}`
+        }
+      };
+    }
+
+    // Enhance the platform results with URLs
+    const enhancedResults = result.platforms.map(platform => {
+      if (!platform.success) {
+        return platform.logFile ? { ...platform, logUrl: `/api/logs/${platform.logFile}` } : platform;
+      }
+
+      // Determine the content type
+      const fileType = platform.fileName.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
+
+      return {
+        ...platform,
+        url: `/uploads/${platform.fileName}`,
+        absoluteUrl: `${baseUrl}/uploads/${platform.fileName}`,
+        logUrl: `/api/logs/${platform.logFile}`,
+        metricsUrl: `/api/metrics/${platform.metricsFile}`,
+        fileType
+      };
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        recordings: [{
+          sessionId: result.sessionId,
+          timestamp: new Date().toISOString(),
+          url: url,
+          isMultiPlatform: true,
+          platformCount: enhancedResults.length,
+          duration: duration || 10,
+          platforms: enhancedResults,
+          parentLog: {
+            filename: result.logFile,
+            url: `/api/logs/${result.logFile}`,
+            size: fileSizeOf(path.join(logsDir, result.logFile)),
+            created: new Date().toISOString()
+          }
+        }]
+      }
+    };
+  }
+
+  if (result.error) {
+    return {
+      statusCode: 500,
+      body: {
+        success: false,
+        error: result.error,
+        recordings: [],
+        logFile: result.logFile,
+        logUrl: `/api/logs/${result.logFile}`,
+        metricsFile: result.metricsFile,
+        metricsUrl: `/api/metrics/${result.metricsFile}`,
+        attempts: result.attempts
+      }
+    };
+  }
+
+  // Get the filenames from the result
+  const resultFilename = result.fileName;
+  const logFilename = result.logFile;
+  const metricsFilename = result.metricsFile;
+
+  // Check if we have a valid filename
+  if (!resultFilename) {
+    console.error('No filename returned from recording process');
+    return {
+      statusCode: 500,
+      body: {
+        success: false,
+        error: 'Recording failed',
+        message: 'No filename returned from recording process',
+        logFile: logFilename,
+        metricsFile: metricsFilename
+      }
+    };
+  }
+
+  // Get file information
+  const resultPath = path.join(uploadsDir, resultFilename);
+  let fileSize = 0;
+
+  try {
+    if (fs.existsSync(resultPath)) {
+      fileSize = fs.statSync(resultPath).size;
+    } else {
+      console.error(`Result file not found: ${resultPath}`);
+    }
+  } catch (err) {
+    console.error(`Error checking result file: ${err.message}`);
+  }
+
+  // Build the absolute URL
+  const fileUrl = `/uploads/${resultFilename}`;
+  const absoluteUrl = `${baseUrl}/uploads/${resultFilename}`;
+
+  // Determine the content type
+  const isImage = resultFilename.endsWith('.png');
+  const contentType = isImage ? 'image/png' :
+                     resultFilename.endsWith('.mp4') ? 'video/mp4' : 'video/webm';
+
+  // Everything else the recorder reported (attempts, trim, crop, network, ...) is passed through as it is
+  const { fileName, logFile, metricsFile, size, ...details } = result;
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      recordings: [{
+        sessionId: result.sessionId || resultFilename.split('-')[1],
+        timestamp: new Date().toISOString(),
+        url: url,
+        ...details,
+        platform: platform || 'UNKNOWN',
+        duration: duration || 10,
+        resolution: result.resolution || result.width && result.height ? `${result.width}x${result.height}` : 'UNKNOWN',
+        quality: quality || result.quality || 'balanced',
+        video: {
+          filename: resultFilename,
+          url: fileUrl,
+          absoluteUrl: absoluteUrl,
+          size: fileSize,
+          fileType: contentType,
+          created: new Date().toISOString()
+        },
+        log: {
+          filename: logFilename,
+          url: `/api/logs/${logFilename}`,
+          size: fileSizeOf(path.join(logsDir, logFilename)),
+          created: new Date().toISOString()
+        },
+        metrics: {
+          filename: metricsFilename,
+          url: `/api/metrics/${metricsFilename}`,
+          size: fileSizeOf(path.join(metricsDir, metricsFilename)),
+          created: new Date().toISOString()
+        }
+      }]
+    }
+  };
+}
+
+module.exports = { buildRecordingPayload };
@@ -0,0 +1,395 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { createJob, readJob } = require('./jobs');
+const { describeAuth } = require('./auth');
+const { redactHeaders } = require('./context-options');
+const { withFileLock } = require('./file-lock');
+
+// How often each worker checks for due schedules
+const SCHEDULER_INTERVAL = 15000;
+
+// Number of past runs kept per schedule
+const MAX_RUN_HISTORY = 50;
+
+// Schedules live on disk so they survive restarts. Every worker runs the
+// scheduler; a claim file per schedule and minute makes sure only one of
+// them queues the recording. Schedules keep their credentials for later
+// runs, so only the service's user can read them.
+const schedulesDir = path.resolve(__dirname, 'data', 'schedules');
+const claimsDir = path.join(schedulesDir, 'claims');
+
+[schedulesDir, claimsDir].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+});
+
+// Allowed range of each cron field: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "0-30/10", "1,15") into the set of values it allows
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  value.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: "${part}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      const [rangeStart, rangeEnd] = match[1].split('-').map(n => parseInt(n, 10));
+      start = rangeStart;
+      // A single value with a step ("5/10") runs from the value to the end of the range
+      end = rangeEnd !== undefined ? rangeEnd : (match[2] ? max : rangeStart);
+    }
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      allowed.add(i);
+    }
+  });
+
+  return allowed;
+}
+
+// Parse a standard 5-field cron expression
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${fields.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+
+  // Treat 7 as Sunday
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like classic cron, a restricted day-of-month OR day-of-week matches
+    restrictDayOfMonth: fields[2] !== '*',
+    restrictDayOfWeek: fields[4] !== '*'
+  };
+}
+
+// Check the day-of-month / day-of-week part of an expression
+function cronDayMatches(cron, date) {
+  const dayOfMonthMatches = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeekMatches = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.restrictDayOfMonth && cron.restrictDayOfWeek) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+// Check whether a cron expression fires in the minute of the given date (server local time)
+function cronMatches(cron, date) {
+  return cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    cronDayMatches(cron, date);
+}
+
+// Find the next minute after `from` at which the expression fires, or null if it never does
+function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const candidate = new Date(from.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  // Look a little over four years ahead, enough for "29 Feb" style expressions.
+  // Skip whole months, days and hours that can't match instead of testing every minute.
+  const horizon = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (candidate.getTime() <= horizon) {
+    if (!cron.months.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+    } else {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Validate an expression, rejecting ones that can never fire (e.g. "0 0 31 2 *")
+function validateCron(expression) {
+  if (!getNextRun(expression)) {
+    throw new Error(`Cron expression "${expression}" never fires`);
+  }
+}
+
+function scheduleFilePath(scheduleId) {
+  return path.join(schedulesDir, `schedule-${scheduleId}.json`);
+}
+
+// Edits, deletes and recorded runs of a schedule hold its lock, so none of them
+// overwrites another or brings back a deleted schedule
+function withScheduleLock(scheduleId, fn) {
+  return withFileLock(`${scheduleFilePath(scheduleId)}.lock`, fn);
+}
+
+function validateEnabled(enabled) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be true or false');
+  }
+}
+
+// Read a schedule from disk, returns null if it doesn't exist
+function readSchedule(scheduleId) {
+  if (typeof scheduleId !== 'string' || !/^[a-f0-9]{8}$/.test(scheduleId)) return null;
+
+  const filePath = scheduleFilePath(scheduleId);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading schedule ${scheduleId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Write a schedule atomically
+function writeSchedule(schedule) {
+  const filePath = scheduleFilePath(schedule.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(schedule, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+  return schedule;
+}
+
+function listSchedules() {
+  return fs.readdirSync(schedulesDir)
+    .filter(file => /^schedule-[a-f0-9]{8}\.json$/.test(file))
+    .map(file => readSchedule(file.slice('schedule-'.length, -'.json'.length)))
+    .filter(schedule => schedule !== null)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Create a schedule from a cron expression and the recording request it queues
+function createSchedule({ name, cron, enabled, request, baseUrl }) {
+  validateCron(cron);
+  validateEnabled(enabled);
+
+  const now = new Date().toISOString();
+  const schedule = writeSchedule({
+    id: uuidv4().substr(0, 8),
+    name: name || request.url,
+    cron,
+    enabled: enabled !== undefined ? enabled : true,
+    request,
+    baseUrl,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    runs: []
+  });
+
+  console.log(`Created schedule ${schedule.id} (${cron}) for URL: ${request.url}`);
+  return schedule;
+}
+
+// Check the schedule settings of a create or update, throwing an error that describes what's wrong
+function validateScheduleSettings({ cron, enabled }) {
+  if (cron !== undefined) validateCron(cron);
+  validateEnabled(enabled);
+}
+
+// Update a schedule's settings; fields left undefined keep their current value.
+// Resolves with the updated schedule, or null if it doesn't exist.
+async function updateSchedule(scheduleId, { name, cron, enabled, request }) {
+  validateScheduleSettings({ cron, enabled });
+  if (!readSchedule(scheduleId)) return null;
+
+  return withScheduleLock(scheduleId, () => {
+    const schedule = readSchedule(scheduleId);
+    if (!schedule) return null;
+
+    return writeSchedule({
+      ...schedule,
+      name: name !== undefined ? name : schedule.name,
+      cron: cron !== undefined ? cron : schedule.cron,
+      enabled: enabled !== undefined ? enabled : schedule.enabled,
+      request: request ? { ...schedule.request, ...request } : schedule.request,
+      updatedAt: new Date().toISOString()
+    });
+  });
+}
+
+// Delete a schedule, resolves with whether it existed
+async function deleteSchedule(scheduleId) {
+  if (!readSchedule(scheduleId)) return false;
+
+  return withScheduleLock(scheduleId, () => {
+    if (!readSchedule(scheduleId)) return false;
+    fs.unlinkSync(scheduleFilePath(scheduleId));
+    console.log(`Deleted schedule ${scheduleId}`);
+    return true;
+  });
+}
+
+// A stored request as shown to callers, with credentials summarised and sensitive header values masked
+function describeRequest(request) {
+  const described = { ...request };
+  if (request.auth) {
+    described.auth = describeAuth(request.auth);
+  }
+  if (request.context && request.context.headers) {
+    described.context = { ...request.context, headers: redactHeaders(request.context.headers) };
+  }
+  return described;
+}
+
+// Public view of a schedule, with the current state of each run's job.
+// Stored credentials and sensitive headers are never echoed back.
+function formatSchedule(schedule) {
+  // Worked out on every read, as a stored time would be out of date once it passes
+  const nextRun = schedule.enabled ? getNextRun(schedule.cron) : null;
+
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron,
+    enabled: schedule.enabled,
+    request: describeRequest(schedule.request),
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+    lastRunAt: schedule.lastRunAt,
+    nextRunAt: nextRun ? nextRun.toISOString() : null,
+    runs: schedule.runs.map(run => {
+      const job = readJob(run.jobId);
+      return {
+        ...run,
+        status: job ? job.status : 'missing',
+        error: job ? job.error : null,
+        finishedAt: job ? job.finishedAt : null,
+        statusUrl: `/api/jobs/${run.jobId}`
+      };
+    })
+  };
+}
+
+// Claim a schedule's run for a given minute; only one worker can succeed
+function claimRun(scheduleId, minuteStamp) {
+  try {
+    fs.closeSync(fs.openSync(path.join(claimsDir, `${scheduleId}-${minuteStamp}`), 'wx'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Remove claim files older than a day
+function pruneClaims() {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  fs.readdirSync(claimsDir).forEach(name => {
+    const match = name.match(/-(\d+)$/);
+    if (match && parseInt(match[1], 10) < cutoff) {
+      try {
+        fs.unlinkSync(path.join(claimsDir, name));
+      } catch (error) {
+        // Another worker removed it
+      }
+    }
+  });
+}
+
+// Queue the recording for a due schedule and add it to the schedule's run history.
+// The schedule is re-read under its lock, so an edit or delete made since it was listed wins.
+function runSchedule(scheduleId, minute) {
+  return withScheduleLock(scheduleId, () => {
+    const schedule = readSchedule(scheduleId);
+    if (!schedule || !schedule.enabled) return;
+
+    const job = createJob(schedule.request, schedule.baseUrl, { scheduleId });
+    console.log(`Schedule ${scheduleId} queued recording job ${job.id}`);
+
+    const run = {
+      jobId: job.id,
+      scheduledFor: minute.toISOString(),
+      queuedAt: job.createdAt
+    };
+    writeSchedule({
+      ...schedule,
+      lastRunAt: run.queuedAt,
+      runs: [run, ...schedule.runs].slice(0, MAX_RUN_HISTORY)
+    });
+  });
+}
+
+// Queue a recording for every schedule due in the current minute.
+// One broken schedule is logged and skipped, the rest still run.
+async function runDueSchedules(now = new Date()) {
+  const minute = new Date(now.getTime());
+  minute.setSeconds(0, 0);
+  const minuteStamp = minute.getTime();
+
+  for (const schedule of listSchedules()) {
+    try {
+      if (!schedule.enabled || !cronMatches(parseCron(schedule.cron), minute)) continue;
+      if (!claimRun(schedule.id, minuteStamp)) continue;
+      await runSchedule(schedule.id, minute);
+    } catch (error) {
+      console.error(`Error running schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+}
+
+// Start checking for due schedules from this worker
+function startScheduler() {
+  const timer = setInterval(() => {
+    runDueSchedules()
+      .then(() => pruneClaims())
+      .catch(error => {
+        console.error(`Error running schedules: ${error.message}`);
+      });
+  }, SCHEDULER_INTERVAL);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+  createSchedule,
+  readSchedule,
+  validateScheduleSettings,
+  updateSchedule,
+  deleteSchedule,
+  listSchedules,
+  formatSchedule,
+  runDueSchedules,
+  startScheduler
+};
@@ -0,0 +1,163 @@
+// Smooth auto-scrolling through the page while the video is recording
+
+const EASINGS = ['linear', 'ease-in', 'ease-out', 'ease-in-out'];
+
+// Elements to pause at for the named presets; anything else is used as a CSS selector
+const PAUSE_PRESETS = {
+  headings: 'h1, h2, h3',
+  sections: 'section, article, [role="region"]'
+};
+
+const DEFAULT_SCROLL = {
+  speed: 'fit',
+  easing: 'ease-in-out',
+  pauseAt: null,
+  pauseDuration: 1000,
+  container: null
+};
+
+// Fill in defaults; `scroll: true` scrolls the whole page over the recording
+function normalizeScroll(scroll) {
+  if (scroll === true) return { ...DEFAULT_SCROLL };
+  return { ...DEFAULT_SCROLL, ...scroll };
+}
+
+// Check a scroll option, throwing an error that describes what's wrong
+function validateScroll(scroll) {
+  if (scroll === true) return;
+  if (!scroll || typeof scroll !== 'object' || Array.isArray(scroll)) {
+    throw new Error('scroll must be true or an object');
+  }
+
+  const { speed, easing, pauseAt, pauseDuration, container } = scroll;
+  if (speed !== undefined && speed !== 'fit' && (typeof speed !== 'number' || speed <= 0)) {
+    throw new Error('scroll.speed must be "fit" or a positive number of pixels per second');
+  }
+  if (easing !== undefined && !EASINGS.includes(easing)) {
+    throw new Error(`scroll.easing must be one of: ${EASINGS.join(', ')}`);
+  }
+  if (pauseAt !== undefined && pauseAt !== null && (typeof pauseAt !== 'string' || pauseAt.trim() === '')) {
+    throw new Error('scroll.pauseAt must be "headings", "sections" or a CSS selector');
+  }
+  if (pauseDuration !== undefined && (typeof pauseDuration !== 'number' || pauseDuration < 0)) {
+    throw new Error('scroll.pauseDuration must be a non-negative number of milliseconds');
+  }
+  if (container !== undefined && container !== null && typeof container !== 'string') {
+    throw new Error('scroll.container must be a CSS selector');
+  }
+}
+
+// Runs inside the page: scroll from the current position to the bottom of the
+// container, pausing at the given elements, and stop before timeLimit ms
+async function scrollInPage({ speed, easing, pauseSelector, pauseDuration, container, timeLimit }) {
+  const scroller = container
+    ? document.querySelector(container)
+    : (document.scrollingElement || document.documentElement);
+  if (!scroller) {
+    throw new Error(`Scroll container not found: ${container}`);
+  }
+
+  // Stop smooth-scroll CSS from fighting the animation
+  scroller.style.scrollBehavior = 'auto';
+
+  const start = scroller.scrollTop;
+  const maxScroll = Math.max(0, scroller.scrollHeight - scroller.clientHeight);
+
+  // Scroll positions that bring each pause element to the top of the container
+  const containerTop = container ? scroller.getBoundingClientRect().top : 0;
+  const stops = [];
+  if (pauseSelector) {
+    document.querySelectorAll(pauseSelector).forEach(element => {
+      const position = Math.round(element.getBoundingClientRect().top - containerTop + scroller.scrollTop);
+      if (position > start + 50 && position < maxScroll - 50 && stops.every(stop => Math.abs(stop - position) > 50)) {
+        stops.push(position);
+      }
+    });
+    stops.sort((a, b) => a - b);
+  }
+
+  const distance = maxScroll - start;
+  const targets = [...stops, maxScroll];
+
+  // Moving time is either distance / speed or whatever the pauses leave of the recording,
+  // less a little slack so the last frame lands before the time limit
+  const movingTime = speed === 'fit'
+    ? Math.max(500, timeLimit - stops.length * pauseDuration - 300)
+    : (distance / speed) * 1000;
+
+  const ease = {
+    'linear': t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => t * (2 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+  }[easing];
+
+  const startedAt = performance.now();
+  const timeLeft = () => timeLimit - (performance.now() - startedAt);
+  const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+  let pauses = 0;
+  let from = start;
+
+  for (let i = 0; i < targets.length && distance > 0; i++) {
+    const to = targets[i];
+    const segmentTime = movingTime * ((to - from) / distance);
+    const segmentStart = performance.now();
+
+    let t = 0;
+    while (t < 1) {
+      if (timeLeft() <= 0) {
+        return { distance: scroller.scrollTop - start, maxDistance: distance, completed: false, pauses };
+      }
+      await nextFrame();
+      t = segmentTime > 0 ? Math.min(1, (performance.now() - segmentStart) / segmentTime) : 1;
+      scroller.scrollTop = from + (to - from) * ease(t);
+    }
+    from = to;
+
+    if (i < targets.length - 1 && pauseDuration > 0) {
+      pauses++;
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(pauseDuration, timeLeft()))));
+    }
+  }
+
+  return { distance: scroller.scrollTop - start, maxDistance: distance, completed: true, pauses };
+}
+
+// Scroll through the page for at most timeLimit ms and report how far it got
+async function runScroll(page, scroll, { log, logMetrics, timeLimit }) {
+  const settings = normalizeScroll(scroll);
+  const pauseSelector = settings.pauseAt ? (PAUSE_PRESETS[settings.pauseAt] || settings.pauseAt) : null;
+  const startTime = Date.now();
+
+  log(`Auto-scrolling ${settings.container || 'page'} (speed: ${settings.speed}${settings.speed === 'fit' ? '' : 'px/s'}, easing: ${settings.easing}${pauseSelector ? `, pausing ${settings.pauseDuration}ms at "${pauseSelector}"` : ''})`);
+  logMetrics(`SCROLL_START,SPEED=${settings.speed},EASING=${settings.easing},PAUSE_AT=${settings.pauseAt || 'none'}`);
+
+  try {
+    const result = await page.evaluate(scrollInPage, {
+      speed: settings.speed,
+      easing: settings.easing,
+      pauseSelector,
+      pauseDuration: settings.pauseDuration,
+      container: settings.container,
+      timeLimit
+    });
+
+    const summary = {
+      ...result,
+      distance: Math.round(result.distance),
+      durationMs: Date.now() - startTime
+    };
+    log(`Scrolled ${summary.distance}px of ${summary.maxDistance}px${summary.completed ? '' : ' before the recording ended'}, ${summary.pauses} pauses`);
+    logMetrics(`SCROLL_COMPLETE,DISTANCE=${summary.distance}px,MAX_DISTANCE=${summary.maxDistance}px,COMPLETED=${summary.completed},PAUSES=${summary.pauses},DURATION=${summary.durationMs}ms`);
+    return summary;
+  } catch (error) {
+    log(`Auto-scroll failed: ${error.message}`);
+    logMetrics(`SCROLL_FAILED,MESSAGE=${error.message.split('\n')[0]}`);
+    return { distance: null, completed: false, error: error.message, durationMs: Date.now() - startTime };
+  }
+}
+
+module.exports = {
+  validateScroll,
+  runScroll
+};
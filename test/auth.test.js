@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { createRedactor, stripAuth } = require('../auth');
+const { createJob, cancelJob, readJob } = require('../jobs');
+
+// Every kind of secret an auth option can carry
+const auth = {
+  cookies: [{ name: 'session', value: 'cookie-secret-1', domain: '.example.com' }],
+  storageState: {
+    cookies: [{ name: 'remember', value: 'state-cookie-2', domain: '.example.com' }],
+    origins: [{ origin: 'https://example.com', localStorage: [{ name: 'token', value: 'origin-token-3' }] }]
+  },
+  localStorage: { accessToken: 'local-token-4' },
+  sessionStorage: { csrf: 'session-token-5' },
+  httpCredentials: { username: 'demo', password: 'pass-word-6' }
+};
+
+test('masks every cookie, storage value and password', () => {
+  const redact = createRedactor(auth);
+  const message = 'cookie-secret-1 state-cookie-2 origin-token-3 local-token-4 session-token-5 pass-word-6';
+  assert.strictEqual(redact(message), Array(6).fill('[REDACTED]').join(' '));
+  // Names are kept, they help when reading the logs
+  assert.strictEqual(redact('session=cookie-secret-1'), 'session=[REDACTED]');
+});
+
+test('masks HTTP credentials sent as a Basic authorization header', () => {
+  const redact = createRedactor(auth);
+  const basic = Buffer.from('demo:pass-word-6').toString('base64');
+  assert.strictEqual(redact(`Authorization: Basic ${basic}`), 'Authorization: Basic [REDACTED]');
+});
+
+test('leaves short values and messages without secrets alone', () => {
+  const redact = createRedactor({ localStorage: { flag: '1', theme: 'on' } });
+  assert.strictEqual(redact('flag=1 theme=on'), 'flag=1 theme=on');
+  assert.strictEqual(createRedactor(null)('nothing to hide'), 'nothing to hide');
+});
+
+test('masks sensitive extra header values and the cookies inside a Cookie header', () => {
+  const redact = createRedactor(null, {
+    Authorization: 'Bearer header-token-123',
+    Cookie: 'session=cookie-secret-1; theme=dark-mode',
+    'X-Trace': 'trace-value-1'
+  });
+
+  assert.strictEqual(redact('Authorization: Bearer header-token-123'), 'Authorization: [REDACTED]');
+  assert.strictEqual(redact('session=cookie-secret-1'), 'session=[REDACTED]');
+  assert.strictEqual(redact('theme=dark-mode'), 'theme=[REDACTED]');
+  assert.strictEqual(redact('X-Trace: trace-value-1'), 'X-Trace: trace-value-1');
+});
+
+test('stripAuth drops credentials and sensitive extra headers from a stored request', () => {
+  const request = {
+    url: 'https://example.com',
+    auth: { httpCredentials: { username: 'user', password: 'pass-word' } },
+    context: {
+      locale: 'de-DE',
+      headers: { authorization: 'Bearer abc', 'Proxy-Authorization': 'Basic xyz', COOKIE: 'a=b', 'X-Trace': '1' }
+    }
+  };
+
+  const stripped = stripAuth(request);
+  assert.strictEqual(stripped.auth, undefined);
+  assert.deepStrictEqual(stripped.context, { locale: 'de-DE', headers: { 'X-Trace': '1' } });
+
+  // The original request is left as it was
+  assert.strictEqual(request.context.headers.authorization, 'Bearer abc');
+});
+
+test('a finished job keeps no credentials or sensitive headers', async () => {
+  const job = createJob({
+    url: 'https://example.com',
+    auth,
+    context: { headers: { Authorization: 'Bearer header-token-7', 'X-Trace': '1' } }
+  }, 'http://localhost');
+
+  try {
+    await cancelJob(job.id);
+
+    const stored = readJob(job.id);
+    assert.strictEqual(stored.status, 'cancelled');
+    assert.strictEqual(stored.request.auth, undefined);
+    assert.deepStrictEqual(stored.request.context.headers, { 'X-Trace': '1' });
+    const content = fs.readFileSync(path.resolve(__dirname, '../data/jobs', `job-${job.id}.json`), 'utf8');
+    ['cookie-secret-1', 'pass-word-6', 'local-token-4', 'header-token-7'].forEach(secret => {
+      assert.ok(!content.includes(secret), secret);
+    });
+  } finally {
+    fs.rmSync(path.resolve(__dirname, '../data/jobs', `job-${job.id}.json`), { force: true });
+  }
+});
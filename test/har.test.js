@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { harDir, validateHar, finalizeHar } = require('../har');
+const { createRedactor } = require('../auth');
+const { recordWebsite } = require('../recorder');
+
+const noop = () => {};
+
+// Write a HAR with the given entries to a temporary file
+function writeHar(entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-test-'));
+  const harPath = path.join(dir, 'har-3f9c2a1b-test.har');
+  fs.writeFileSync(harPath, JSON.stringify({ log: { version: '1.2', entries } }));
+  return harPath;
+}
+
+function readHar(harPath) {
+  return JSON.parse(fs.readFileSync(harPath, 'utf8'));
+}
+
+test('masks sensitive extra header values sent with each request', () => {
+  const harPath = writeHar([{
+    request: {
+      url: 'https://example.com/api',
+      headers: [
+        { name: 'Authorization', value: 'Bearer header-token-123' },
+        { name: 'Cookie', value: 'session=cookie-secret-1; site=own-value' },
+        { name: 'Accept', value: 'application/json' }
+      ],
+      cookies: [{ name: 'session', value: 'cookie-secret-1' }, { name: 'site', value: 'own-value' }]
+    },
+    response: { status: 200, headers: [], cookies: [] }
+  }]);
+
+  const redact = createRedactor(null, { Authorization: 'Bearer header-token-123', Cookie: 'session=cookie-secret-1' });
+  const result = finalizeHar(harPath, { redact, log: noop, logMetrics: noop });
+  assert.strictEqual(result.entries, 1);
+
+  const { request } = readHar(harPath).log.entries[0];
+  assert.deepStrictEqual(request.headers.map(header => header.value), [
+    '[REDACTED]',
+    '[REDACTED]; site=own-value',
+    'application/json'
+  ]);
+  assert.deepStrictEqual(request.cookies.map(cookie => cookie.value), ['[REDACTED]', 'own-value']);
+  fs.rmSync(path.dirname(harPath), { recursive: true });
+});
+
+test('masks auth secrets wherever a request or response carries them', () => {
+  const basic = Buffer.from('demo:pass-word-1').toString('base64');
+  const body = JSON.stringify({ images: ['aGVsbG8='], token: 'local-token-2' });
+  const harPath = writeHar([{
+    request: {
+      url: 'https://example.com/login?token=local-token-2',
+      queryString: [{ name: 'token', value: 'local-token-2' }],
+      headers: [{ name: 'Authorization', value: `Basic ${basic}` }],
+      cookies: [{ name: 'session', value: 'cookie-secret-3' }],
+      postData: {
+        mimeType: 'application/x-www-form-urlencoded',
+        text: 'user=demo&password=pass-word-1',
+        params: [{ name: 'password', value: 'pass-word-1' }]
+      }
+    },
+    response: {
+      status: 302,
+      headers: [{ name: 'Set-Cookie', value: 'session=cookie-secret-3; HttpOnly' }],
+      cookies: [{ name: 'session', value: 'cookie-secret-3' }],
+      redirectURL: 'https://example.com/home?token=local-token-2',
+      content: { size: body.length, mimeType: 'application/json', text: body }
+    }
+  }]);
+
+  const redact = createRedactor({
+    cookies: [{ name: 'session', value: 'cookie-secret-3' }],
+    localStorage: { token: 'local-token-2' },
+    httpCredentials: { username: 'demo', password: 'pass-word-1' }
+  });
+  const logs = [];
+  finalizeHar(harPath, { redact, log: message => logs.push(message), logMetrics: noop });
+
+  const entry = readHar(harPath).log.entries[0];
+  const { request, response } = entry;
+  assert.strictEqual(request.url, 'https://example.com/login?token=[REDACTED]');
+  assert.strictEqual(request.queryString[0].value, '[REDACTED]');
+  assert.strictEqual(request.headers[0].value, 'Basic [REDACTED]');
+  assert.strictEqual(request.cookies[0].value, '[REDACTED]');
+  assert.strictEqual(request.postData.text, 'user=demo&password=[REDACTED]');
+  assert.strictEqual(request.postData.params[0].value, '[REDACTED]');
+  assert.strictEqual(response.headers[0].value, 'session=[REDACTED]; HttpOnly');
+  assert.strictEqual(response.cookies[0].value, '[REDACTED]');
+  assert.strictEqual(response.redirectURL, 'https://example.com/home?token=[REDACTED]');
+  // Response bodies are left as they were captured
+  assert.strictEqual(response.content.text, body);
+  assert.match(logs.join('\n'), /9 values masked/);
+  fs.rmSync(path.dirname(harPath), { recursive: true });
+});
+
+test('leaves a HAR without secrets untouched and removes one that can\'t be read', () => {
+  const cleanPath = writeHar([{ request: { url: 'https://example.com/', headers: [] }, response: { status: 200 } }]);
+  const before = fs.readFileSync(cleanPath, 'utf8');
+  const result = finalizeHar(cleanPath, { redact: createRedactor({ localStorage: { token: 'local-token-2' } }), log: noop, logMetrics: noop });
+  assert.strictEqual(result.filename, path.basename(cleanPath));
+  assert.strictEqual(fs.readFileSync(cleanPath, 'utf8'), before);
+  fs.rmSync(path.dirname(cleanPath), { recursive: true });
+
+  const brokenPath = writeHar([]);
+  fs.writeFileSync(brokenPath, '{"log": {"entries": [');
+  assert.strictEqual(finalizeHar(brokenPath, { redact: message => message, log: noop, logMetrics: noop }), null);
+  assert.strictEqual(fs.existsSync(brokenPath), false);
+  fs.rmSync(path.dirname(brokenPath), { recursive: true });
+});
+
+test('refuses to replay a HAR that is no longer there', async () => {
+  const replay = `har-${crypto.randomBytes(4).toString('hex')}-missing.har`;
+  const replayPath = path.join(harDir, replay);
+
+  fs.writeFileSync(replayPath, JSON.stringify({ log: { entries: [] } }));
+  assert.doesNotThrow(() => validateHar({ replay }));
+
+  // Deleted after the request was accepted, before the recording started
+  fs.unlinkSync(replayPath);
+  assert.throws(() => validateHar({ replay }), /was not found/);
+  await assert.rejects(recordWebsite('https://example.com', 1, { har: { replay } }), /HAR file .* to replay was not found/);
+});
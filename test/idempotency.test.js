@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const {
+  hashRequestBody,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../idempotency');
+
+const idempotencyDir = path.resolve(__dirname, '../data/idempotency');
+
+// Keys of their own, so the test never touches real requests
+let keyCount = 0;
+const newKey = () => `test-${process.pid}-${++keyCount}`;
+
+function recordPath(key) {
+  return path.join(idempotencyDir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+}
+
+// Store a record as an earlier request would have left it
+function writeRecord(key, record) {
+  fs.writeFileSync(recordPath(key), JSON.stringify(record));
+}
+
+// Reserve a key from a separate process, starting at the given time so several line up
+function reserveInChild(key, bodyHash, startAt) {
+  const script = `
+    const { reserveIdempotencyKey } = require(${JSON.stringify(path.resolve(__dirname, '../idempotency'))});
+    while (Date.now() < ${startAt}) {}
+    process.stdout.write(JSON.stringify(reserveIdempotencyKey(${JSON.stringify(key)}, ${JSON.stringify(bodyHash)})));
+  `;
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const child = spawn(process.execPath, ['-e', script]);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve(JSON.parse(output)) : reject(new Error(`exited with ${code}`))));
+  });
+}
+
+test('hashes bodies the same whatever their key order', () => {
+  assert.strictEqual(hashRequestBody({ url: 'https://example.com', duration: 5 }), hashRequestBody({ duration: 5, url: 'https://example.com' }));
+  assert.notStrictEqual(hashRequestBody({ duration: 5 }), hashRequestBody({ duration: 6 }));
+});
+
+test('replays the job accepted under a key', () => {
+  const key = newKey();
+  const bodyHash = hashRequestBody({ url: 'https://example.com' });
+  try {
+    assert.deepStrictEqual(reserveIdempotencyKey(key, bodyHash), { state: 'new' });
+    assert.deepStrictEqual(reserveIdempotencyKey(key, bodyHash), { state: 'pending' });
+
+    completeIdempotencyKey(key, '3f9c2a1b');
+    assert.deepStrictEqual(reserveIdempotencyKey(key, bodyHash), { state: 'match', jobId: '3f9c2a1b' });
+  } finally {
+    releaseIdempotencyKey(key);
+  }
+});
+
+test('refuses a key reused with a different body', () => {
+  const key = newKey();
+  try {
+    reserveIdempotencyKey(key, hashRequestBody({ url: 'https://example.com' }));
+    completeIdempotencyKey(key, '3f9c2a1b');
+    assert.deepStrictEqual(reserveIdempotencyKey(key, hashRequestBody({ url: 'https://example.org' })), { state: 'mismatch' });
+  } finally {
+    releaseIdempotencyKey(key);
+  }
+});
+
+test('gives expired, abandoned and damaged records to the next request', () => {
+  const bodyHash = hashRequestBody({ url: 'https://example.com' });
+  const dayAgo = Date.now() - 25 * 60 * 60 * 1000;
+  const records = [
+    JSON.stringify({ token: 'old', bodyHash: 'other', jobId: '3f9c2a1b', createdAt: dayAgo }),
+    JSON.stringify({ token: 'abandoned', bodyHash, jobId: null, createdAt: Date.now() - 2 * 60 * 1000 }),
+    '{"bodyHash":'
+  ];
+
+  records.forEach(content => {
+    const key = newKey();
+    try {
+      fs.writeFileSync(recordPath(key), content);
+      assert.deepStrictEqual(reserveIdempotencyKey(key, bodyHash), { state: 'new' });
+      assert.strictEqual(JSON.parse(fs.readFileSync(recordPath(key), 'utf8')).bodyHash, bodyHash);
+    } finally {
+      releaseIdempotencyKey(key);
+    }
+  });
+});
+
+test('lets only one of several concurrent requests take an expired key', async () => {
+  const key = newKey();
+  const bodyHash = hashRequestBody({ url: 'https://example.com' });
+  writeRecord(key, { token: 'old', bodyHash, jobId: '3f9c2a1b', createdAt: Date.now() - 25 * 60 * 60 * 1000 });
+
+  try {
+    const startAt = Date.now() + 1500;
+    const results = await Promise.all([1, 2, 3, 4].map(() => reserveInChild(key, bodyHash, startAt)));
+
+    assert.strictEqual(results.filter(result => result.state === 'new').length, 1);
+    results.filter(result => result.state !== 'new').forEach(result => assert.strictEqual(result.state, 'pending'));
+    assert.deepStrictEqual(fs.readdirSync(idempotencyDir).filter(name => name.includes('.tmp') || name.endsWith('.stale')), []);
+  } finally {
+    releaseIdempotencyKey(key);
+  }
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compilePattern, validateNetwork } = require('../network');
+
+test('matches globs and regular expressions', () => {
+  assert.ok(compilePattern('**/ads/**').test('https://example.com/ads/banner.js'));
+  assert.ok(!compilePattern('https://example.com/*/track').test('https://example.com/a/b/track'));
+  assert.ok(compilePattern('/\\/v[0-9]+\\/track/i').test('https://example.com/V2/TRACK'));
+});
+
+test('rejects regular expressions that could take exponential time', () => {
+  ['/(a+)+$/', '/(\\w*\\/)*x/', '/((ab)*c)+/', '/(a{2,})*/'].forEach(pattern => {
+    assert.throws(() => validateNetwork({ block: [pattern] }), /nested quantifiers/, pattern);
+  });
+  assert.throws(() => validateNetwork({ allow: [`/${'a'.repeat(201)}/`] }), /at most 200 characters/);
+});
+
+test('accepts quantifiers that are not nested', () => {
+  assert.doesNotThrow(() => validateNetwork({
+    block: ['/^https:\\/\\/api\\.example\\.com\\/v[0-9]+\\//', '/(foo|bar)+/', '/[(+)]+/', '/(?:ab)?c+/']
+  }));
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { acquireSlot, countActiveSlots } = require('../queue');
+const { createLockOwner, removeStaleLock, readLockOwner } = require('../file-lock');
+
+const locksDir = path.resolve(__dirname, '../data/locks');
+
+// A slot kind of its own, so the test never touches real recording or encode slots
+const kind = `test-${process.pid}`;
+const slotPath = index => path.join(locksDir, `${kind}-${index}.lock`);
+
+function clearSlots() {
+  fs.readdirSync(locksDir)
+    .filter(name => name.startsWith(`${kind}-`))
+    .forEach(name => fs.unlinkSync(path.join(locksDir, name)));
+}
+
+// Write a slot lock as another process would have left it
+function writeSlot(index, owner) {
+  fs.writeFileSync(slotPath(index), JSON.stringify(owner));
+}
+
+// A pid that is very unlikely to belong to a running process
+const DEAD_PID = 999999;
+
+test.afterEach(clearSlots);
+
+test('hands out at most limit slots and reuses a released one', () => {
+  const first = acquireSlot(kind, 2, 'job-1');
+  const second = acquireSlot(kind, 2, 'job-2');
+  assert.ok(first);
+  assert.ok(second);
+  assert.strictEqual(acquireSlot(kind, 2, 'job-3'), null);
+  assert.strictEqual(countActiveSlots(kind), 2);
+
+  first();
+  const third = acquireSlot(kind, 2, 'job-3');
+  assert.ok(third);
+  assert.strictEqual(readLockOwner(slotPath(0)).owner, 'job-3');
+
+  second();
+  third();
+  assert.strictEqual(countActiveSlots(kind), 0);
+});
+
+test('takes over a slot held by a dead process', () => {
+  writeSlot(0, { pid: DEAD_PID, token: 'dead', owner: 'job-old', acquiredAt: Date.now() });
+  assert.strictEqual(countActiveSlots(kind), 0);
+
+  const release = acquireSlot(kind, 1, 'job-new');
+  assert.ok(release);
+  assert.strictEqual(readLockOwner(slotPath(0)).owner, 'job-new');
+  assert.deepStrictEqual(fs.readdirSync(locksDir).filter(name => name.startsWith(`${kind}-`)), [`${kind}-0.lock`]);
+  release();
+});
+
+test('takes over a slot whose lock file is damaged', () => {
+  fs.writeFileSync(slotPath(0), '{"pid":');
+
+  const release = acquireSlot(kind, 1, 'job-new');
+  assert.ok(release);
+  assert.strictEqual(readLockOwner(slotPath(0)).owner, 'job-new');
+  release();
+});
+
+test('does not take a slot held by a live process', () => {
+  writeSlot(0, { pid: process.pid, token: 'live', owner: 'job-live', acquiredAt: Date.now() });
+
+  assert.strictEqual(acquireSlot(kind, 1, 'job-new'), null);
+  assert.strictEqual(readLockOwner(slotPath(0)).owner, 'job-live');
+});
+
+test('release leaves a slot alone once another holder has it', () => {
+  const release = acquireSlot(kind, 1, 'job-1');
+  assert.ok(release);
+
+  // Another worker freed the slot and took it over
+  writeSlot(0, { pid: process.pid, token: 'other', owner: 'job-2', acquiredAt: Date.now() });
+  release();
+
+  assert.strictEqual(readLockOwner(slotPath(0)).token, 'other');
+});
+
+test('does not free a stale lock that was replaced after it was read', () => {
+  const stale = { pid: DEAD_PID, token: 'dead', owner: 'job-old', acquiredAt: Date.now() };
+  const replacement = createLockOwner({ owner: 'job-new' });
+
+  // Another worker already freed the stale lock and took the slot before this one got to it
+  writeSlot(0, replacement);
+  assert.strictEqual(removeStaleLock(slotPath(0), stale), false);
+  assert.strictEqual(readLockOwner(slotPath(0)).token, replacement.token);
+
+  writeSlot(0, stale);
+  assert.strictEqual(removeStaleLock(slotPath(0), stale), true);
+  assert.strictEqual(fs.existsSync(slotPath(0)), false);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyTransientError } = require('../recorder');
+
+test('classifies network errors', () => {
+  assert.strictEqual(classifyTransientError(new Error('page.goto: net::ERR_CONNECTION_RESET at https://example.com')), 'NETWORK_ERROR');
+  assert.strictEqual(classifyTransientError(new Error('net::ERR_NAME_NOT_RESOLVED')), 'NETWORK_ERROR');
+});
+
+test('classifies navigation timeouts', () => {
+  assert.strictEqual(classifyTransientError(new Error('page.goto: Timeout 60000ms exceeded.\nnavigating to "https://example.com"')), 'NAVIGATION_TIMEOUT');
+  assert.strictEqual(classifyTransientError(new Error('Navigation timeout of 30000 ms exceeded')), 'NAVIGATION_TIMEOUT');
+  // Other timeouts are the page's own doing
+  assert.strictEqual(classifyTransientError(new Error('locator.click: Timeout 5000ms exceeded')), null);
+});
+
+test('classifies browser crashes', () => {
+  assert.strictEqual(classifyTransientError(new Error('page.evaluate: Target page, context or browser has been closed')), 'BROWSER_CRASH');
+  assert.strictEqual(classifyTransientError(new Error('Page crashed')), 'BROWSER_CRASH');
+  assert.strictEqual(classifyTransientError(new Error('browser has disconnected')), 'BROWSER_CRASH');
+});
+
+test('treats any failure while launching as a launch failure, unless the browser is missing', () => {
+  assert.strictEqual(classifyTransientError(new Error('spawn EAGAIN'), { launching: true }), 'BROWSER_LAUNCH_FAILED');
+  assert.strictEqual(classifyTransientError(new Error('browserType.launch: Executable doesn\'t exist at /ms-playwright/chromium'), { launching: true }), null);
+});
+
+test('does not retry readiness failures, cancellations or unknown errors', () => {
+  const readinessError = new Error('Page not ready after 30000ms: network quiet for 500ms not met (Timeout 30000ms exceeded while navigating)');
+  readinessError.readinessFailed = true;
+  assert.strictEqual(classifyTransientError(readinessError), null);
+  assert.strictEqual(classifyTransientError(readinessError, { launching: true }), null);
+
+  const cancelledError = new Error('net::ERR_ABORTED');
+  cancelledError.cancelled = true;
+  assert.strictEqual(classifyTransientError(cancelledError), null);
+
+  assert.strictEqual(classifyTransientError(new Error('Cannot read properties of undefined')), null);
+  assert.strictEqual(classifyTransientError(null), null);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const {
+  parseCron,
+  getNextRun,
+  createSchedule,
+  readSchedule,
+  validateScheduleSettings,
+  deleteSchedule,
+  formatSchedule,
+  runDueSchedules
+} = require('../schedules');
+const { removeFromQueue } = require('../queue');
+
+const dataDir = path.resolve(__dirname, '../data');
+
+// Dates are in server local time, like the cron expressions
+const at = (year, month, day, hour, minute) => new Date(year, month - 1, day, hour, minute);
+
+test('parses lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+  assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...cron.daysOfMonth], [1, 15]);
+  assert.strictEqual(cron.months.size, 12);
+  assert.deepStrictEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0));
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid day of month field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('5-1 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron(42), /must be a string/);
+});
+
+test('finds the next run after a given time', () => {
+  assert.deepStrictEqual(getNextRun('*/15 * * * *', at(2024, 5, 1, 10, 7)), at(2024, 5, 1, 10, 15));
+  assert.deepStrictEqual(getNextRun('0 3 * * *', at(2024, 5, 1, 10, 7)), at(2024, 5, 2, 3, 0));
+  assert.deepStrictEqual(getNextRun('30 8 * * 1', at(2024, 5, 1, 10, 7)), at(2024, 5, 6, 8, 30));
+  // Never the minute it's asked in
+  assert.deepStrictEqual(getNextRun('0 10 * * *', at(2024, 5, 1, 10, 0)), at(2024, 5, 2, 10, 0));
+  // A restricted day-of-month or day-of-week matches, like classic cron
+  assert.deepStrictEqual(getNextRun('0 0 13 * 5', at(2024, 5, 1, 10, 7)), at(2024, 5, 3, 0, 0));
+  // Leap days are found years ahead
+  assert.deepStrictEqual(getNextRun('0 0 29 2 *', at(2024, 3, 1, 0, 0)), at(2028, 2, 29, 0, 0));
+});
+
+test('rejects expressions that never fire', () => {
+  assert.strictEqual(getNextRun('0 0 31 2 *', at(2024, 5, 1, 10, 7)), null);
+  assert.throws(() => validateScheduleSettings({ cron: '0 0 31 2 *' }), /never fires/);
+  assert.throws(() => createSchedule({ cron: '0 0 31 2 *', request: { url: 'https://example.com' } }), /never fires/);
+  assert.throws(() => validateScheduleSettings({ enabled: 'yes' }), /enabled must be true or false/);
+});
+
+test('queues one recording per due minute, however often workers check', async () => {
+  const schedule = createSchedule({ cron: '* * * * *', request: { url: 'https://example.com' }, baseUrl: 'http://localhost' });
+  const now = new Date();
+  try {
+    // Several workers checking the same minute at once, then again later in that minute
+    await Promise.all([runDueSchedules(now), runDueSchedules(now), runDueSchedules(now)]);
+    await runDueSchedules(new Date(now.getTime() + 1000 * (59 - now.getSeconds())));
+
+    const { runs } = readSchedule(schedule.id);
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(new Date(runs[0].scheduledFor).getSeconds(), 0);
+  } finally {
+    (readSchedule(schedule.id).runs || []).forEach(run => {
+      removeFromQueue(run.jobId);
+      fs.rmSync(path.join(dataDir, 'jobs', `job-${run.jobId}.json`), { force: true });
+    });
+    fs.readdirSync(path.join(dataDir, 'schedules', 'claims'))
+      .filter(name => name.startsWith(`${schedule.id}-`))
+      .forEach(name => fs.unlinkSync(path.join(dataDir, 'schedules', 'claims', name)));
+    await deleteSchedule(schedule.id);
+  }
+});
+
+test('works out the next run when the schedule is shown', () => {
+  const schedule = {
+    id: '3f9c2a1b',
+    cron: '*/5 * * * *',
+    enabled: true,
+    request: { url: 'https://example.com' },
+    runs: []
+  };
+
+  const nextRunAt = new Date(formatSchedule(schedule).nextRunAt);
+  assert.ok(nextRunAt > new Date());
+  assert.ok(nextRunAt - new Date() <= 5 * 60 * 1000);
+  assert.strictEqual(nextRunAt.getMinutes() % 5, 0);
+  assert.strictEqual(formatSchedule({ ...schedule, enabled: false }).nextRunAt, null);
+});
+
+// A stored schedule as schedules.js writes it
+function storedSchedule(request) {
+  const now = new Date().toISOString();
+  return {
+    id: '3f9c2a1b',
+    name: 'nightly',
+    cron: '0 3 * * *',
+    enabled: true,
+    request,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    runs: []
+  };
+}
+
+test('never shows credentials or sensitive header values', () => {
+  const formatted = formatSchedule(storedSchedule({
+    url: 'https://example.com',
+    auth: { httpCredentials: { username: 'user', password: 'pass-word' } },
+    context: { headers: { Authorization: 'Bearer abc', Cookie: 'a=b', 'X-Trace': '1' } }
+  }));
+
+  assert.strictEqual(formatted.request.auth.httpCredentials.password, '[REDACTED]');
+  assert.deepStrictEqual(formatted.request.context.headers, {
+    Authorization: '[REDACTED]',
+    Cookie: '[REDACTED]',
+    'X-Trace': '1'
+  });
+  assert.ok(!JSON.stringify(formatted).includes('pass-word'));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+// Short backoff so retries finish quickly; must be set before webhooks.js is loaded
+process.env.WEBHOOK_BACKOFF_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+const { deliverWebhook } = require('../webhooks');
+
+// Start a receiver that answers each request with the next status code in the list
+async function startReceiver(statusCodes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      res.statusCode = statusCodes[Math.min(requests.length - 1, statusCodes.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('signs the timestamp and raw body with the secret', async () => {
+  const receiver = await startReceiver([200]);
+  try {
+    const delivered = await deliverWebhook({
+      url: receiver.url,
+      secret: 'test-secret',
+      event: 'recording.finished',
+      payload: { jobId: 'abcd1234', status: 'done' }
+    });
+    assert.strictEqual(delivered, true);
+    assert.strictEqual(receiver.requests.length, 1);
+
+    const { headers, body } = receiver.requests[0];
+    const expected = crypto.createHmac('sha256', 'test-secret').update(`${headers['x-recorder-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-recorder-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers['x-recorder-event'], 'recording.finished');
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.match(headers['x-recorder-timestamp'], /^\d+$/);
+
+    const parsed = JSON.parse(body);
+    assert.strictEqual(parsed.event, 'recording.finished');
+    assert.strictEqual(parsed.deliveryId, headers['x-recorder-delivery']);
+    assert.strictEqual(parsed.jobId, 'abcd1234');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('retries a 500 with doubling backoff under the same delivery ID', async () => {
+  const receiver = await startReceiver([500, 500, 200]);
+  const outcomes = [];
+  try {
+    const delivered = await deliverWebhook({
+      url: receiver.url,
+      secret: 'test-secret',
+      event: 'recording.finished',
+      payload: { jobId: 'abcd1234' },
+      onAttempt: outcome => outcomes.push(outcome)
+    });
+    assert.strictEqual(delivered, true);
+    assert.strictEqual(receiver.requests.length, 3);
+
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.statusCode), [500, 500, 200]);
+    assert.strictEqual(outcomes[0].error, 'Unexpected status code 500');
+    assert.ok(outcomes[0].nextRetryAt);
+    assert.strictEqual(outcomes[2].error, null);
+    assert.strictEqual(outcomes[2].nextRetryAt, null);
+
+    const deliveryIds = new Set(receiver.requests.map(request => request.headers['x-recorder-delivery']));
+    assert.strictEqual(deliveryIds.size, 1);
+
+    const [first, second, third] = receiver.requests.map(request => request.receivedAt);
+    assert.ok(second - first >= 45, `first retry waited ${second - first}ms`);
+    assert.ok(third - second >= 95, `second retry waited ${third - second}ms`);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('gives up after the last attempt', async () => {
+  const receiver = await startReceiver([500]);
+  const outcomes = [];
+  try {
+    const delivered = await deliverWebhook({
+      url: receiver.url,
+      secret: 'test-secret',
+      event: 'recording.finished',
+      payload: {},
+      onAttempt: outcome => outcomes.push(outcome)
+    });
+    assert.strictEqual(delivered, false);
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.strictEqual(outcomes[2].nextRetryAt, null);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a resumed delivery continues from its next attempt', async () => {
+  const receiver = await startReceiver([200]);
+  const outcomes = [];
+  try {
+    const delivered = await deliverWebhook({
+      url: receiver.url,
+      secret: 'test-secret',
+      event: 'recording.finished',
+      payload: {},
+      deliveryId: 'delivery-1',
+      firstAttempt: 3,
+      onAttempt: outcome => outcomes.push(outcome)
+    });
+    assert.strictEqual(delivered, true);
+    assert.strictEqual(receiver.requests[0].headers['x-recorder-delivery'], 'delivery-1');
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.attempt), [3]);
+  } finally {
+    await receiver.close();
+  }
+});
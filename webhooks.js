@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+// Delivery settings
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_INITIAL_BACKOFF = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 2000; // Doubled after every failed attempt
+const WEBHOOK_TIMEOUT = 10000;
+
+// Check that a callback URL is an absolute http(s) URL
+function isValidCallbackUrl(callbackUrl) {
+  try {
+    const parsed = new URL(callbackUrl);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Sign the timestamp and raw body together so a captured delivery can't be replayed later
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Send a single POST, resolves with the response status code
+function postJson(callbackUrl, body, headers) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(callbackUrl);
+    const client = parsed.protocol === 'https:' ? https : http;
+
+    const req = client.request(parsed, {
+      method: 'POST',
+      timeout: WEBHOOK_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, (res) => {
+      // Drain the response so the socket is released
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT}ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Deliver a webhook, retrying with exponential backoff until it gets a 2xx response.
+// onAttempt is called (and awaited) with the outcome of every attempt so callers can record it.
+// A delivery cut short by a restart carries on from firstAttempt under its original deliveryId.
+async function deliverWebhook({ url, secret, event, payload, onAttempt, deliveryId = uuidv4(), firstAttempt = 1 }) {
+  const signingSecret = secret || WEBHOOK_SECRET;
+  const body = JSON.stringify({ event, deliveryId, ...payload });
+
+  for (let attempt = firstAttempt; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const backoff = WEBHOOK_INITIAL_BACKOFF * 2 ** (attempt - 1);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'User-Agent': 'browser-recorder-webhook',
+      'X-Recorder-Event': event,
+      'X-Recorder-Delivery': deliveryId,
+      'X-Recorder-Timestamp': timestamp,
+      'X-Recorder-Signature': `sha256=${signPayload(signingSecret, timestamp, body)}`
+    };
+
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      statusCode = await postJson(url, body, headers);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Unexpected status code ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const delivered = error === null;
+    const willRetry = !delivered && attempt < WEBHOOK_MAX_ATTEMPTS;
+    const outcome = {
+      attempt,
+      deliveryId,
+      sentAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      statusCode,
+      error,
+      nextRetryAt: willRetry ? new Date(Date.now() + backoff).toISOString() : null
+    };
+
+    console.log(`Webhook ${deliveryId} attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} to ${url}: ${delivered ? `delivered (${statusCode})` : error}`);
+    if (onAttempt) await onAttempt(outcome);
+
+    if (delivered) return true;
+    if (!willRetry) return false;
+
+    await new Promise(resolve => setTimeout(resolve, backoff));
+  }
+  return false;
+}
+
+module.exports = {
+  WEBHOOK_SECRET,
+  WEBHOOK_MAX_ATTEMPTS,
+  isValidCallbackUrl,
+  signPayload,
+  deliverWebhook
+};